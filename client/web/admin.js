@@ -0,0 +1,238 @@
+// Celio's Network Machine - devices page (admins only)
+// Creates pairing codes for new devices and lists every signed-in device, each of which
+// can be revoked on its own without changing the shared token or any password. Also turns
+// two-factor sign-in on or off for the login in use.
+(function() {
+  'use strict';
+
+  const pairingForm = document.getElementById('pairing-form');
+  const pairingRole = document.getElementById('pairing-role');
+  const pairingLabel = document.getElementById('pairing-label');
+  const pairingError = document.getElementById('pairing-error');
+  const pairingSubmit = document.getElementById('pairing-submit');
+  const pairingResult = document.getElementById('pairing-result');
+  const pairingQr = document.getElementById('pairing-qr');
+  const pairingCode = document.getElementById('pairing-code');
+  const pairingExpiry = document.getElementById('pairing-expiry');
+  const totpStatus = document.getElementById('totp-status');
+  const totpError = document.getElementById('totp-error');
+  const totpSetupBtn = document.getElementById('totp-setup-btn');
+  const totpSetup = document.getElementById('totp-setup');
+  const totpQr = document.getElementById('totp-qr');
+  const totpSecret = document.getElementById('totp-secret');
+  const totpCodeRow = document.getElementById('totp-code-row');
+  const totpCode = document.getElementById('totp-code');
+  const totpConfirmBtn = document.getElementById('totp-confirm-btn');
+  const totpRecoveryBtn = document.getElementById('totp-recovery-btn');
+  const totpDisableBtn = document.getElementById('totp-disable-btn');
+  const totpRecovery = document.getElementById('totp-recovery');
+  const totpRecoveryList = document.getElementById('totp-recovery-list');
+  const devicesError = document.getElementById('devices-error');
+  const deviceList = document.getElementById('device-list');
+
+  let expiryTimer = null;
+
+  function showError(el, message) {
+    el.textContent = message;
+    el.classList.toggle('visible', !!message);
+  }
+
+  // JSON request to the admin API; rejects with the server's error message
+  function api(path, body) {
+    return fetch(path, {
+      method: body ? 'POST' : 'GET',
+      credentials: 'same-origin',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    }).then(res => {
+      if (res.status === 401) {
+        window.location.replace('login.html');
+      }
+      return res.json().catch(() => ({})).then(data => {
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      });
+    });
+  }
+
+  function formatTime(ms) {
+    const date = new Date(ms);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : date.toLocaleDateString();
+  }
+
+  function renderDevices(devices) {
+    deviceList.innerHTML = '';
+    if (devices.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'login-hint';
+      empty.textContent = 'No signed-in devices';
+      deviceList.appendChild(empty);
+      return;
+    }
+    for (const device of devices) {
+      const item = document.createElement('li');
+      item.className = 'device-item';
+
+      const info = document.createElement('div');
+      info.className = 'device-info';
+      const name = document.createElement('div');
+      name.className = 'device-name';
+      name.textContent = device.current ? `${device.label} (this device)` : device.label;
+      const meta = document.createElement('div');
+      meta.className = 'device-meta';
+      meta.textContent = [
+        device.user || 'shared token',
+        device.role || 'no access',
+        device.paired ? 'paired' : null,
+        device.secondFactor ? '2FA' : null,
+        `last seen ${formatTime(device.lastSeen)}`,
+        device.lastIp
+      ].filter(Boolean).join(' · ');
+      info.append(name, meta);
+
+      const revoke = document.createElement('button');
+      revoke.className = 'device-revoke';
+      revoke.textContent = 'Revoke';
+      revoke.addEventListener('click', () => revokeDevice(device, revoke));
+
+      item.append(info, revoke);
+      deviceList.appendChild(item);
+    }
+  }
+
+  function loadDevices() {
+    api('api/devices')
+      .then(({ devices }) => {
+        showError(devicesError, '');
+        renderDevices(devices);
+      })
+      .catch(err => showError(devicesError, err.message));
+  }
+
+  function revokeDevice(device, button) {
+    const warning = device.current ? ' This signs you out here.' : '';
+    if (!confirm(`Revoke ${device.label}?${warning}`)) return;
+    button.disabled = true;
+    api('api/devices/revoke', { id: device.id })
+      .then(() => {
+        if (device.current) {
+          window.location.replace('login.html');
+          return;
+        }
+        loadDevices();
+      })
+      .catch(err => {
+        button.disabled = false;
+        showError(devicesError, err.message);
+      });
+  }
+
+  // Count down to the code's expiry, then hide it
+  function showPairing({ code, qr, expires }) {
+    pairingQr.innerHTML = qr || ''; // SVG markup generated by the relay (none if it failed)
+    pairingCode.textContent = code;
+    pairingResult.classList.add('visible');
+    clearInterval(expiryTimer);
+    const tick = () => {
+      const seconds = Math.ceil((expires - Date.now()) / 1000);
+      if (seconds <= 0) {
+        clearInterval(expiryTimer);
+        pairingResult.classList.remove('visible');
+        loadDevices();
+        return;
+      }
+      pairingExpiry.textContent = `Scan or enter on the sign-in page within ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}. Works once.`;
+    };
+    tick();
+    expiryTimer = setInterval(tick, 1000);
+  }
+
+  // Show the buttons for the current state: off, being set up, or on
+  function renderTotp(state, { enabled, account, recoveryCodesLeft } = {}) {
+    showError(totpError, '');
+    totpCode.value = '';
+    totpSetupBtn.hidden = state !== 'off';
+    totpSetup.classList.toggle('visible', state === 'setup');
+    totpCodeRow.hidden = state === 'off';
+    totpConfirmBtn.hidden = state !== 'setup';
+    totpRecoveryBtn.hidden = state !== 'on';
+    totpDisableBtn.hidden = state !== 'on';
+    if (state === 'setup') {
+      totpStatus.textContent = 'Enter the code the app shows to finish.';
+    } else if (enabled !== undefined) {
+      totpStatus.textContent = enabled
+        ? `On for ${account}. ${recoveryCodesLeft} recovery codes left. Enter a current code to change it.`
+        : `Off for ${account}. When on, signing in also asks for a code from an authenticator app.`;
+    }
+  }
+
+  function loadTotp() {
+    api('api/totp')
+      .then(status => renderTotp(status.enabled ? 'on' : 'off', status))
+      .catch(err => showError(totpError, err.message));
+  }
+
+  function showRecoveryCodes(codes) {
+    totpRecoveryList.innerHTML = '';
+    for (const code of codes) {
+      const item = document.createElement('li');
+      item.textContent = code;
+      totpRecoveryList.appendChild(item);
+    }
+    totpRecovery.classList.add('visible');
+  }
+
+  // Run a code-confirmed action, then refresh the status
+  function totpAction(path, button, onDone) {
+    showError(totpError, '');
+    button.disabled = true;
+    api(path, { code: totpCode.value.trim() })
+      .then(result => {
+        onDone(result);
+        loadTotp();
+      })
+      .catch(err => showError(totpError, err.message))
+      .finally(() => { button.disabled = false; });
+  }
+
+  totpSetupBtn.addEventListener('click', () => {
+    totpRecovery.classList.remove('visible');
+    api('api/totp/setup', {})
+      .then(({ secret, qr }) => {
+        totpQr.innerHTML = qr || ''; // SVG markup generated by the relay (none if it failed)
+        totpSecret.textContent = secret.match(/.{1,4}/g).join(' ');
+        renderTotp('setup');
+        totpCode.focus();
+      })
+      .catch(err => showError(totpError, err.message));
+  });
+
+  totpConfirmBtn.addEventListener('click', () => {
+    totpAction('api/totp/enable', totpConfirmBtn, ({ recoveryCodes }) => showRecoveryCodes(recoveryCodes));
+  });
+
+  totpRecoveryBtn.addEventListener('click', () => {
+    totpAction('api/totp/recovery', totpRecoveryBtn, ({ recoveryCodes }) => showRecoveryCodes(recoveryCodes));
+  });
+
+  totpDisableBtn.addEventListener('click', () => {
+    if (!confirm('Turn off two-factor sign-in?')) return;
+    totpAction('api/totp/disable', totpDisableBtn, () => totpRecovery.classList.remove('visible'));
+  });
+
+  pairingForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    showError(pairingError, '');
+    pairingSubmit.disabled = true;
+    api('api/pairing', { role: pairingRole.value, label: pairingLabel.value.trim() })
+      .then(showPairing)
+      .catch(err => showError(pairingError, err.message))
+      .finally(() => { pairingSubmit.disabled = false; });
+  });
+
+  loadTotp();
+  loadDevices();
+  // Pick up devices as they pair
+  setInterval(loadDevices, 10000);
+})();
@@ -16,6 +16,55 @@
   const PREVIEW_LINES = 8;
   const SCROLLBACK_CHUNK_SIZE = 8000; // Write scrollback in chunks to prevent jitter
   const SCROLLBACK_CHUNK_DELAY = 16; // ms between chunks (one frame)
+  const PLAYBACK_TICK_MS = 33; // Recording playback frame interval
+  const OUTPUT_ACK_INTERVAL = 250; // ms between flow-control acks of rendered output
+  const INPUT_COALESCE_MS = 10; // Keystrokes within this window go out as one input message
+  const COMPOSER_SUBMIT_DELAY = 50; // ms between a composed paste and the Enter that submits it
+  const RESEND_DEADLINE = 60000; // ms a resendable request may wait (across reconnects) for its reply
+  const PASTE_START = '\x1b[200~';
+  const PASTE_END = '\x1b[201~';
+
+  // Key chords for the header toolbar (encoded by the host, see server/keys.js)
+  const KEY_PRESETS = [
+    { chord: 'Escape', title: 'Escape' },
+    { chord: 'Ctrl+C', title: 'Interrupt' },
+    { chord: 'Ctrl+D', title: 'EOF' },
+    { chord: 'Shift+Tab', title: 'Cycle mode' },
+    { chord: 'Tab', title: 'Tab' },
+    { chord: 'Up', title: 'Up' },
+    { chord: 'Down', title: 'Down' },
+    { chord: 'Left', title: 'Left' },
+    { chord: 'Right', title: 'Right' },
+    { chord: 'Enter', title: 'Enter' },
+    { chord: 'Alt+Enter', title: 'Newline' },
+    { chord: 'Ctrl+R', title: 'Search history' },
+    { chord: 'Ctrl+L', title: 'Clear screen' },
+    { chord: 'Ctrl+O', title: 'Transcript' },
+    { chord: 'Ctrl+Z', title: 'Suspend' },
+    { chord: 'Home', title: 'Home' },
+    { chord: 'End', title: 'End' },
+    { chord: 'PgUp', title: 'Page up' },
+    { chord: 'PgDn', title: 'Page down' }
+  ];
+  const DEFAULT_TOOLBAR_KEYS = ['Escape', 'Ctrl+C', 'Ctrl+D', 'Shift+Tab'];
+  const LEGACY_CONTROL_KEYS = { 'Escape': 'ESC', 'Ctrl+C': 'CTRL_C', 'Ctrl+D': 'CTRL_D' }; // Relays without 'keys'
+  const KEY_MODIFIERS = { ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', meta: 'Alt', option: 'Alt', shift: 'Shift' };
+  const KEY_NAMES = {
+    esc: 'Escape', escape: 'Escape', enter: 'Enter', return: 'Enter', tab: 'Tab', space: 'Space',
+    backspace: 'Backspace', bs: 'Backspace', delete: 'Delete', del: 'Delete', insert: 'Insert', ins: 'Insert',
+    up: 'Up', down: 'Down', left: 'Left', right: 'Right', home: 'Home', end: 'End',
+    pgup: 'PgUp', pageup: 'PgUp', pgdn: 'PgDn', pagedown: 'PgDn', pgdown: 'PgDn'
+  };
+  for (let n = 1; n <= 12; n++) KEY_NAMES[`f${n}`] = `F${n}`;
+  const KEY_SYMBOLS = { Escape: 'ESC', Enter: '⏎', Tab: '⇥', Backspace: '⌫', Up: '↑', Down: '↓', Left: '←', Right: '→' };
+  const MODIFIER_SYMBOLS = { Ctrl: '^', Alt: '⌥', Shift: '⇧' };
+
+  // Wire protocol (see server/protocol.js)
+  const PROTOCOL_VERSION = 2;
+  const CLIENT_CAPABILITIES = ['latency', 'ack', 'seq', 'history', 'visibility', 'binary', 'flow', 'keys'];
+  const FRAME_OUTPUT = 1; // Binary output frame type (see server/binary-frames.js)
+  const ROLES = ['viewer', 'operator', 'admin']; // Ranked (see server/accounts.js)
+  const utf8Decoder = new TextDecoder();
 
   // DOM elements
   const connectionStatus = document.getElementById('connection-status');
@@ -38,9 +87,20 @@
   const backBtn = document.getElementById('back-btn');
   const expandBtn = document.getElementById('expand-btn');
   const inputBar = document.getElementById('input-bar');
-  const controlBtns = document.querySelectorAll('.header-ctrl-btn[data-key]');
+  const keyToolbar = document.getElementById('key-toolbar');
+  const keysBtn = document.getElementById('keys-btn');
+  const keysPanel = document.getElementById('keys-panel');
+  const keysPanelClose = document.getElementById('keys-panel-close');
+  const keysList = document.getElementById('keys-list');
+  const keysCustomInput = document.getElementById('keys-custom-input');
+  const keysCustomAdd = document.getElementById('keys-custom-add');
+  const keysReset = document.getElementById('keys-reset');
   const keyboardToggle = document.getElementById('keyboard-toggle');
   const hiddenInput = document.getElementById('hidden-input');
+  const composerToggle = document.getElementById('composer-toggle');
+  const composerText = document.getElementById('composer-text');
+  const composerSend = document.getElementById('composer-send');
+  const composerClose = document.getElementById('composer-close');
   const uploadBtn = document.getElementById('upload-btn');
   const fileInput = document.getElementById('file-input');
   const uploadStatusEl = document.getElementById('upload-status');
@@ -50,6 +110,24 @@
   const folderPanel = document.getElementById('folder-panel');
   const folderPanelClose = document.getElementById('folder-panel-close');
   const folderList = document.getElementById('folder-list');
+  const recordingsBtn = document.getElementById('recordings-btn');
+  const logoutBtn = document.getElementById('logout-btn');
+  const adminBtn = document.getElementById('admin-btn');
+  const recordingsPanel = document.getElementById('recordings-panel');
+  const recordingsPanelClose = document.getElementById('recordings-panel-close');
+  const recordingsList = document.getElementById('recordings-list');
+  const playbackTerminal = document.getElementById('playback-terminal');
+  const playbackToggle = document.getElementById('playback-toggle');
+  const playbackSeek = document.getElementById('playback-seek');
+  const playbackTime = document.getElementById('playback-time');
+  const playbackSpeed = document.getElementById('playback-speed');
+  const historyBtn = document.getElementById('history-btn');
+  const historyPanel = document.getElementById('history-panel');
+  const historyPanelClose = document.getElementById('history-panel-close');
+  const historyTitle = document.getElementById('history-title');
+  const historyList = document.getElementById('history-list');
+  const historyLoadOlder = document.getElementById('history-load-older');
+  const historyContent = document.getElementById('history-content');
   const skipPermissionsToggle = document.getElementById('skip-permissions-toggle');
   const musicBtn = document.getElementById('music-btn');
   const ambientAudio = document.getElementById('ambient-audio');
@@ -60,12 +138,28 @@
   let reconnectTimeout = null;
   let pingInterval = null;
   let availableProjects = []; // Unified list: all folders + active session data
+  let relayPeer = { protocol: 0, capabilities: [] }; // Negotiated from the relay's hello
+  let accountRole = null; // From the relay's account message (null: older relay, no roles)
+  let accessSignIn = false; // Signed in by Cloudflare Access rather than a relay session
   let currentView = 'dashboard';
   const startupTime = Date.now();
   const STARTUP_GRACE_PERIOD = 15000; // 15s grace period for server startup
 
-  // Sessions state: Map of sessionId -> { term, fitAddon, status, lastActivity, preview, connected }
+  // Sessions state: Map of sessionId -> { term, fitAddon, status, lastActivity, preview, connected, latency,
+  //   lastSeq, epoch, pendingOutput, summary }  (lastSeq/epoch: last output chunk received from the host, for
+  //   resume; summary: { active, state, at } from the relay while the session is off screen)
   const sessions = new Map();
+  let visibleSessionsKey = null; // Last set_visible sent, so unchanged sets aren't resent
+  const pendingOutputAcks = new Map(); // sessionId -> output characters rendered but not yet acked
+  let outputAckTimer = null;
+  let pendingInput = ''; // Keystrokes batched for the focused session
+  let inputFlushTimer = null;
+  const inputQueue = []; // Input, key and control messages not yet acked, in order: { msg, onError, delayMs }
+  let inputInFlight = false; // Head of inputQueue sent (or waiting out a rate limit)
+
+  // Composer drafts survive reloads: sessionId -> unsent prompt text
+  const composerDrafts = loadDrafts();
+  let toolbarKeys = loadToolbarKeys(); // Chords shown in the focus header, in order
   let focusedSessionId = null;
   let lastFocusedSessionId = null; // Track which session the terminal was last showing (to avoid jitter on re-entry)
   let focusTerm = null;
@@ -85,6 +179,20 @@
   let uploadStatusTimeout = null;
   let pendingUploadSessionId = null; // Session ID for pending file upload
 
+  // Recording playback state (focus view in replay mode), null when not replaying
+  // { name, term, header, events, duration, position, nextIndex, speed, playing, timer, lastTick }
+  let playback = null;
+
+  // History panel state (pages of the focused session's on-disk output log)
+  let historySessionId = null;
+  let historyStart = null;   // Byte offset of the oldest loaded page (cursor for the next one)
+  let historyLoading = false;
+
+  // Request state: every request carries an id and gets a correlated ack or error
+  const requestIdPrefix = Math.random().toString(36).slice(2, 8); // Unique per page load
+  let nextRequestId = 1;
+  const pendingRequests = new Map(); // id -> { msg, onAck, onError, resend, deadline }
+
   // Create session state
   let createSessionPending = false;
 
@@ -97,12 +205,6 @@
   let musicPlaying = false;
   let musicPausedByVisibility = false;  // Track if we paused due to tab hidden
 
-  // Get token from URL
-  function getToken() {
-    const params = new URLSearchParams(window.location.search);
-    return params.get('token');
-  }
-
   // Safe WebSocket send with error handling
   function wsSend(data) {
     if (!ws || ws.readyState !== WebSocket.OPEN) {
@@ -118,15 +220,43 @@
     }
   }
 
-  // Clear token from URL (after successful auth, cookie is set)
-  function clearTokenFromUrl() {
-    const url = new URL(window.location.href);
-    if (url.searchParams.has('token')) {
-      url.searchParams.delete('token');
-      // Use replaceState to update URL without adding history entry
-      window.history.replaceState({}, document.title, url.pathname + url.search + url.hash);
-      console.log('[Auth] Token cleared from URL (using session cookie)');
-    }
+  // Send a request and route the relay's ack/error to the given callbacks
+  // resend: keep it across a dropped connection and send again with the same id
+  // (the relay replays its earlier reply instead of repeating the operation), until
+  // RESEND_DEADLINE passes without a reply
+  function sendRequest(msg, { onAck, onError, resend = false } = {}) {
+    const id = `${requestIdPrefix}-${nextRequestId++}`;
+    const request = { msg: { ...msg, id }, onAck, onError, resend, deadline: null };
+    pendingRequests.set(id, request);
+    if (resend) {
+      request.deadline = setTimeout(() => {
+        failRequest(id, { code: 'TIMEOUT', message: 'No reply from server' });
+      }, RESEND_DEADLINE);
+    }
+    if (!wsSend(request.msg) && !resend) {
+      failRequest(id, { code: 'NOT_CONNECTED', message: 'Not connected to server' });
+    }
+    return id;
+  }
+
+  // Resolve a pending request with its ack
+  function ackRequest(id, msg) {
+    const request = pendingRequests.get(id);
+    if (!request) return false;
+    pendingRequests.delete(id);
+    clearTimeout(request.deadline);
+    if (request.onAck) request.onAck(msg);
+    return true;
+  }
+
+  // Reject a pending request with a structured error
+  function failRequest(id, error) {
+    const request = pendingRequests.get(id);
+    if (!request) return false;
+    pendingRequests.delete(id);
+    clearTimeout(request.deadline);
+    if (request.onError) request.onError(error);
+    return true;
   }
 
   // Update connection status UI
@@ -186,6 +316,9 @@
 
   // Switch view
   function switchView(viewName) {
+    if (viewName !== 'focus') {
+      closeComposer();
+    }
     currentView = viewName;
 
     // Show/hide views
@@ -193,9 +326,15 @@
     splitView.classList.toggle('active', viewName === 'split');
     focusView.classList.toggle('active', viewName === 'focus');
 
+    // Replay mode only lives in the focus view
+    if (viewName !== 'focus') {
+      stopPlayback();
+    }
+
     // If going to dashboard, disconnect focus terminal
     if (viewName === 'dashboard') {
       focusedSessionId = null;
+      closeHistoryPanel();
     }
 
     // Fit terminals when switching views
@@ -213,6 +352,44 @@
         }
       }, 50);
     }
+
+    updateVisibleSessions();
+  }
+
+  // Tell the relay which sessions are on screen; it sends the others only summaries
+  // (a hidden page shows nothing, and must not hold back output it can't render)
+  function updateVisibleSessions() {
+    if (!relayPeer.capabilities.includes('visibility')) return;
+    const visible = [];
+    if (document.hidden) {
+      // Nothing on screen
+    } else if (currentView === 'focus' && focusedSessionId) {
+      visible.push(focusedSessionId);
+    } else if (currentView === 'split') {
+      visible.push(...splitPanels.keys());
+    }
+    const key = visible.join('\n');
+    if (key === visibleSessionsKey) return;
+    visibleSessionsKey = key;
+    sendRequest({ type: 'set_visible', sessionIds: visible });
+  }
+
+  // Flow control: report rendered output so the relay keeps streaming (batched, no reply)
+  function ackOutput(sessionId, chars) {
+    if (!relayPeer.capabilities.includes('flow')) return;
+    pendingOutputAcks.set(sessionId, (pendingOutputAcks.get(sessionId) || 0) + chars);
+    if (!outputAckTimer) {
+      outputAckTimer = setTimeout(sendOutputAcks, OUTPUT_ACK_INTERVAL);
+    }
+  }
+
+  function sendOutputAcks() {
+    outputAckTimer = null;
+    const acks = [...pendingOutputAcks].map(([sessionId, chars]) => ({ sessionId, chars }));
+    pendingOutputAcks.clear();
+    if (acks.length > 0) {
+      wsSend({ type: 'output_ack', acks });
+    }
   }
 
   // Render project cards in dashboard (unified: active + inactive projects)
@@ -252,12 +429,13 @@
 
       if (p.isActive) {
         // Active project - show session info
-        const rawPreview = p.preview || localSession.preview || '';
+        // Summaries of a background session are fresher than the registry's preview
+        const rawPreview = (localSession.summary && localSession.preview) || p.preview || localSession.preview || '';
         const preview = cleanPreview(rawPreview) || 'Waiting for output...';
 
         // Determine activity from lastSeen timestamp
         const lastSeenAge = p.lastSeen ? (Date.now() - p.lastSeen) : Infinity;
-        const isRecentlyActive = lastSeenAge < ACTIVITY_TIMEOUT;
+        const isRecentlyActive = lastSeenAge < ACTIVITY_TIMEOUT || !!localSession.summary?.active;
         const isHealthy = lastSeenAge < 15000;
 
         const activityClass = isRecentlyActive ? 'active' : (isHealthy ? 'idle' : '');
@@ -433,17 +611,41 @@
 
     showUploadStatus('uploading', `Starting ${projectId}...`);
 
-    ws.send(JSON.stringify({
+    sendRequest({
       type: 'start_folder_session',
       folderName: projectId,
       skipPermissions
-    }));
+    }, { onAck: onFolderSessionStarted, onError: onFolderSessionFailed, resend: true });
+  }
+
+  // Folder session started (or was already running)
+  function onFolderSessionStarted(msg) {
+    folderSessionPending = false;
+    if (msg.alreadyRunning) {
+      showUploadStatus('success', `${msg.folderName} already running`);
+    } else {
+      const mode = msg.skipPermissions ? ' (skip permissions)' : '';
+      showUploadStatus('success', `Started ${msg.folderName}${mode}`);
+    }
+    console.log(`[Session] Started: ${msg.folderName}`);
+    // Refresh project list after short delay to let session register
+    setTimeout(() => requestProjects(), 1500);
+  }
+
+  function onFolderSessionFailed(err) {
+    folderSessionPending = false;
+    showUploadStatus('error', err.message || 'Failed to start session');
+    console.error(`[Session] Start failed (${err.code}):`, err.message);
   }
 
   // Open focus view for a session
   function openFocusView(sessionId) {
+    flushInput(); // Batched keystrokes belong to the session being left
+    closeComposer(); // ...and so does an open draft
+    stopPlayback();
     const isReturningToSameSession = (sessionId === lastFocusedSessionId && focusTerm);
     focusedSessionId = sessionId;
+    updateComposer();
 
     const session = availableProjects.find(s => s.id === sessionId);
     focusSessionName.textContent = sessionId;
@@ -520,9 +722,14 @@
     }
   }
 
-  // Update focus view status
+  // Update focus view status (latency shown when the relay has measured it)
   function updateFocusStatus(status) {
-    focusSessionStatus.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    let text = status.charAt(0).toUpperCase() + status.slice(1);
+    const latency = sessions.get(focusedSessionId)?.latency;
+    if (status === 'connected' && typeof latency === 'number') {
+      text += ` · ${latency}ms`;
+    }
+    focusSessionStatus.textContent = text;
     focusSessionStatus.className = 'status-badge ' + status;
   }
 
@@ -608,16 +815,35 @@
     // If no panels left, go back to dashboard
     if (splitPanels.size === 0) {
       switchView('dashboard');
+    } else {
+      updateVisibleSessions();
     }
   }
 
   // Connect to a session via WebSocket
-  function connectToSession(sessionId) {
+  // resume: the terminals still hold this session's output, so ask the host for only
+  // what came after our last sequence; otherwise the host sends a full snapshot
+  function connectToSession(sessionId, { resume = false } = {}) {
     if (ws && ws.readyState === WebSocket.OPEN) {
       // Mark connection as pending until we receive confirmation
       sessionConnectionPending = true;
 
-      wsSend({ type: 'connect_session', sessionId });
+      const request = { type: 'connect_session', sessionId };
+      const known = sessions.get(sessionId);
+      if (resume && known && known.epoch && Number.isInteger(known.lastSeq)) {
+        request.lastSeq = known.lastSeq;
+        request.epoch = known.epoch;
+      }
+
+      sendRequest(request, {
+        onError: (err) => {
+          if (err.code === 'CONNECTION_LOST') return; // Reconnect handles this
+          console.error(`[Session] Connect to ${sessionId} failed (${err.code}):`, err.message);
+          if (sessionId === focusedSessionId) {
+            showUploadStatus('error', err.message);
+          }
+        }
+      });
 
       // Initialize session state if not exists
       if (!sessions.has(sessionId)) {
@@ -637,15 +863,41 @@
   }
 
   // Write scrollback data in chunks to prevent UI jitter
-  function writeScrollbackChunked(sessionId, data) {
+  // A scrollback is a full snapshot, so it replaces whatever the terminals showed.
+  // `size` ({ cols, rows }) is the host screen a snapshot was laid out for: its cursor moves
+  // only land right at that size, so the terminals take it for the write and refit after.
+  function writeScrollbackChunked(sessionId, data, size = null) {
     if (!data || data.length === 0) return;
 
+    const snapshotSize = size && Number.isInteger(size.cols) && Number.isInteger(size.rows)
+      && size.cols > 0 && size.rows > 0 ? size : null;
+    if (focusedSessionId === sessionId && focusTerm) {
+      focusTerm.reset();
+      if (snapshotSize) focusTerm.resize(snapshotSize.cols, snapshotSize.rows);
+    }
+    const panel = splitPanels.get(sessionId);
+    if (panel) {
+      panel.term.reset();
+      if (snapshotSize) panel.term.resize(snapshotSize.cols, snapshotSize.rows);
+    }
+
     loadingScrollback.add(sessionId);
     let offset = 0;
 
     function writeChunk() {
       if (offset >= data.length) {
         loadingScrollback.delete(sessionId);
+        // Output that arrived mid-snapshot goes after it, in order
+        const pending = sessions.get(sessionId)?.pendingOutput;
+        if (pending && pending.length > 0) {
+          sessions.get(sessionId).pendingOutput = [];
+          for (const queued of pending) {
+            writeOutput(sessionId, queued);
+          }
+        }
+        if (snapshotSize) {
+          refitAfterSnapshot(sessionId);
+        }
         // Render dashboard once after all scrollback loaded
         if (currentView === 'dashboard' && !dashboardRenderPending) {
           dashboardRenderPending = true;
@@ -688,6 +940,23 @@
     writeChunk();
   }
 
+  // Back to the size that fits the page once the snapshot has been drawn (the host
+  // follows the focus terminal's size)
+  function refitAfterSnapshot(sessionId) {
+    if (focusedSessionId === sessionId && focusTerm) {
+      const term = focusTerm;
+      term.write('', () => {
+        if (term !== focusTerm) return;
+        focusFitAddon.fit();
+        sendResize();
+      });
+    }
+    const panel = splitPanels.get(sessionId);
+    if (panel) {
+      panel.term.write('', () => panel.fitAddon.fit());
+    }
+  }
+
   // Write output to appropriate terminal(s)
   function writeOutput(sessionId, data) {
     // Update session state
@@ -699,6 +968,13 @@
     session.lastActivity = Date.now();
     session.connected = true;
 
+    // Hold output until the snapshot being written has finished
+    if (loadingScrollback.has(sessionId)) {
+      if (!session.pendingOutput) session.pendingOutput = [];
+      session.pendingOutput.push(data);
+      return;
+    }
+
     // Update preview (strip ANSI codes for preview)
     const cleanData = stripAnsi(data);
     session.preview = (session.preview + cleanData).split('\n').slice(-PREVIEW_LINES).join('\n');
@@ -722,6 +998,14 @@
       }, ACTIVITY_TIMEOUT);
     }
 
+    // Flow control: ack once a terminal has processed it (right away if none shows it)
+    const renderer = (focusedSessionId === sessionId && focusTerm) || splitPanel?.term;
+    if (renderer) {
+      renderer.write('', () => ackOutput(sessionId, data.length));
+    } else {
+      ackOutput(sessionId, data.length);
+    }
+
     // Update dashboard if visible (throttled during scrollback loading)
     if (currentView === 'dashboard' && !loadingScrollback.has(sessionId)) {
       if (!dashboardRenderPending) {
@@ -821,29 +1105,24 @@
       return;
     }
 
-    const token = getToken();
-
-    if (!token) {
-      setConnectionStatus('error', 'No token');
-      return;
-    }
-
     setConnectionStatus('', 'Connecting');
 
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
 
     // Handle both local dev and Cloudflare deployment (walterfam.xyz/cnm)
+    // The relay_session cookie from sign-in authenticates the upgrade
     let wsUrl;
     if (window.location.pathname.startsWith('/cnm')) {
       // Cloudflare deployment - include /cnm prefix in WebSocket URL
-      wsUrl = `${protocol}//${window.location.host}/cnm/?token=${encodeURIComponent(token)}`;
+      wsUrl = `${protocol}//${window.location.host}/cnm/`;
     } else {
       // Local development
-      wsUrl = `${protocol}//${window.location.host}/?token=${encodeURIComponent(token)}`;
+      wsUrl = `${protocol}//${window.location.host}/`;
     }
 
     try {
       ws = new WebSocket(wsUrl);
+      ws.binaryType = 'arraybuffer'; // Output frames, once 'binary' is negotiated
     } catch (err) {
       const inStartup = (Date.now() - startupTime) < STARTUP_GRACE_PERIOD;
       setConnectionStatus('', inStartup ? 'Starting...' : 'Connection failed');
@@ -855,6 +1134,15 @@
       setConnectionStatus('connected', 'Connected');
       reconnectDelay = RECONNECT_DELAY;
 
+      // Protocol handshake - relay treats us as legacy until this arrives
+      relayPeer = { protocol: 0, capabilities: [] };
+      wsSend({ type: 'hello', protocol: PROTOCOL_VERSION, role: 'client', capabilities: CLIENT_CAPABILITIES });
+
+      // Resend requests interrupted by the disconnect (same ids, so they aren't repeated)
+      for (const request of pendingRequests.values()) {
+        wsSend(request.msg);
+      }
+
       // Keep connection alive with pings (iOS Safari may close idle connections)
       if (pingInterval) clearInterval(pingInterval);
       pingInterval = setInterval(() => {
@@ -863,22 +1151,21 @@
         }
       }, 25000); // Ping every 25 seconds
 
-      // Note: We keep the token in URL for now since server sessions are in-memory
-      // and would be lost on server restart. Token in URL allows easy reconnection.
-
-      // Reconnect to active sessions
+      // Reconnect to active sessions, resuming where their output left off
       if (focusedSessionId) {
-        connectToSession(focusedSessionId);
+        connectToSession(focusedSessionId, { resume: true });
       }
       for (const sessionId of splitPanels.keys()) {
-        connectToSession(sessionId);
+        if (sessionId !== focusedSessionId) {
+          connectToSession(sessionId, { resume: true });
+        }
       }
     };
 
     ws.onmessage = (event) => {
       try {
-        const msg = JSON.parse(event.data);
-        handleMessage(msg);
+        const msg = typeof event.data === 'string' ? JSON.parse(event.data) : decodeOutputFrame(event.data);
+        if (msg) handleMessage(msg);
       } catch (err) {
         console.error('[WS] Parse error:', err);
       }
@@ -892,7 +1179,9 @@
       }
 
       if (event.code === 4001) {
-        setConnectionStatus('error', 'Auth failed');
+        // Session cookie missing or expired - sign in again
+        setConnectionStatus('error', 'Signed out');
+        window.location.replace('login.html');
       } else {
         // During startup grace period, show friendlier message
         const inStartup = (Date.now() - startupTime) < STARTUP_GRACE_PERIOD;
@@ -905,6 +1194,13 @@
         session.connected = false;
       }
 
+      // Fail requests that can't safely be resent
+      for (const [id, request] of pendingRequests) {
+        if (!request.resend) {
+          failRequest(id, { code: 'CONNECTION_LOST', message: 'Connection lost' });
+        }
+      }
+
       if (focusedSessionId) {
         updateFocusStatus('disconnected');
       }
@@ -919,14 +1215,56 @@
     };
   }
 
+  // Decode a binary output frame into the message it replaces:
+  // [type][id length][session id][uint32 seq, 0 = none][UTF-8 output]
+  function decodeOutputFrame(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 6 || bytes[0] !== FRAME_OUTPUT) {
+      console.warn('[WS] Unknown binary frame');
+      return null;
+    }
+    const idEnd = 2 + bytes[1];
+    const seq = new DataView(buffer).getUint32(idEnd);
+    const msg = {
+      type: 'output',
+      sessionId: utf8Decoder.decode(bytes.subarray(2, idEnd)),
+      data: utf8Decoder.decode(bytes.subarray(idEnd + 4))
+    };
+    if (seq > 0) msg.seq = seq;
+    return msg;
+  }
+
   // Handle incoming messages
   function handleMessage(msg) {
     switch (msg.type) {
+      case 'hello':
+        relayPeer = {
+          protocol: Math.min(msg.protocol || 0, PROTOCOL_VERSION),
+          capabilities: CLIENT_CAPABILITIES.filter(c => (msg.capabilities || []).includes(c))
+        };
+        if (msg.protocol > PROTOCOL_VERSION) {
+          console.warn(`[WS] Relay speaks newer protocol v${msg.protocol}, reload to update`);
+        }
+        console.log(`[WS] Relay protocol v${relayPeer.protocol}, shared capabilities: ${relayPeer.capabilities.join(', ') || 'none'}`);
+        visibleSessionsKey = null; // New connection starts with every subscription visible
+        updateVisibleSessions();
+        break;
+
+      case 'account':
+        accountRole = ROLES.includes(msg.role) ? msg.role : null;
+        accessSignIn = !!msg.access;
+        document.body.dataset.role = accountRole || '';
+        console.log(`[Auth] Signed in as ${msg.user || 'shared token'} (${msg.role})`);
+        if (!hasRole('operator')) {
+          hideKeyboard();
+          closeComposer();
+        }
+        break;
+
       case 'projects':
         availableProjects = msg.projects || [];
         sessionCards.classList.remove('loading');
         setConnectionStatus('connected', 'Connected');
-        clearTokenFromUrl();  // Security: remove token from URL after successful auth
         renderDashboard();
         break;
 
@@ -938,7 +1276,6 @@
         }));
         sessionCards.classList.remove('loading');
         setConnectionStatus('connected', 'Connected');
-        clearTokenFromUrl();
         renderDashboard();
         break;
 
@@ -949,6 +1286,12 @@
         }
         const outputSessionId = msg.sessionId || focusedSessionId;
         if (outputSessionId) {
+          // Skip chunks we already have (seq only comes from hosts that number output)
+          const seqSession = sessions.get(outputSessionId);
+          if (Number.isInteger(msg.seq) && seqSession) {
+            if (Number.isInteger(seqSession.lastSeq) && msg.seq <= seqSession.lastSeq) break;
+            seqSession.lastSeq = msg.seq;
+          }
           writeOutput(outputSessionId, msg.data);
           // Receiving output means we're connected - clear pending state
           sessionConnectionPending = false;
@@ -971,8 +1314,11 @@
           console.warn('[WS] Scrollback message missing sessionId, using focusedSessionId');
         }
         const scrollbackSessionId = msg.sessionId || focusedSessionId;
+        if (scrollbackSessionId && Number.isInteger(msg.seq) && sessions.has(scrollbackSessionId)) {
+          sessions.get(scrollbackSessionId).lastSeq = msg.seq;
+        }
         if (scrollbackSessionId && msg.data) {
-          writeScrollbackChunked(scrollbackSessionId, msg.data);
+          writeScrollbackChunked(scrollbackSessionId, msg.data, { cols: msg.cols, rows: msg.rows });
           // Receiving scrollback means we're connected - clear pending state
           sessionConnectionPending = false;
           // Only update focus status if this IS the focused session (and we know the sessionId)
@@ -987,18 +1333,55 @@
         }
         break;
 
+      case 'summary': {
+        // Off-screen session: throttled preview and activity instead of its output
+        const summarySession = sessions.get(msg.sessionId);
+        if (!summarySession) break;
+        if (msg.preview) {
+          summarySession.preview = msg.preview;
+        }
+        if (msg.active) {
+          summarySession.lastActivity = Date.now();
+        }
+        if (typeof msg.latency === 'number') {
+          summarySession.latency = msg.latency;
+        }
+        summarySession.summary = { active: !!msg.active, state: msg.state, at: Date.now() };
+
+        if (currentView === 'dashboard' && !dashboardRenderPending) {
+          dashboardRenderPending = true;
+          requestAnimationFrame(() => {
+            dashboardRenderPending = false;
+            renderDashboard();
+            if (msg.active) {
+              triggerActivityPulse(msg.sessionId);
+            }
+          });
+        }
+        break;
+      }
+
       case 'status':
         const statusSessionId = msg.sessionId || focusedSessionId;
         if (msg.state === 'connected') {
           // Clear pending state - connection confirmed
           sessionConnectionPending = false;
-          if (statusSessionId === focusedSessionId) {
-            updateFocusStatus('connected');
-          }
           const session = sessions.get(statusSessionId);
           if (session) {
             session.connected = true;
             session.status = 'connected';
+            // Round-trip time between relay and host (from pipe pings)
+            if (typeof msg.latency === 'number') {
+              session.latency = msg.latency;
+            }
+            // Host finished syncing us - everything up to seq has been sent
+            if (Number.isInteger(msg.seq) && msg.epoch) {
+              session.lastSeq = msg.seq;
+              session.epoch = msg.epoch;
+            }
+          }
+          if (statusSessionId === focusedSessionId) {
+            updateFocusStatus('connected');
           }
         } else if (msg.state === 'disconnected') {
           // Clear any pending scrollback loading for this session (prevents permanent throttle)
@@ -1011,35 +1394,17 @@
           if (disconnectedSession) {
             disconnectedSession.connected = false;
             disconnectedSession.status = 'disconnected';
+            disconnectedSession.latency = null;
           }
         }
         break;
 
-      case 'upload_result':
-        uploadInProgress = false;
-        if (msg.success) {
-          showUploadStatus('success', `Uploaded ${msg.filename}`);
-          console.log(`[Upload] Success: ${msg.filename} -> ${msg.path}`);
-        } else {
-          showUploadStatus('error', msg.error || 'Upload failed');
-          console.error('[Upload] Failed:', msg.error);
-        }
+      case 'ack':
+        ackRequest(msg.id, msg);
         break;
 
-      case 'create_session_result':
-        createSessionPending = false;
-        if (createSessionBtn) createSessionBtn.disabled = false;
-
-        if (msg.success) {
-          showUploadStatus('success', `Created ${msg.projectName}`);
-          console.log(`[Session] Created: ${msg.projectName} at ${msg.path}`);
-          // Clear input and refresh sessions
-          if (newSessionName) newSessionName.value = '';
-          requestSessions();
-        } else {
-          showUploadStatus('error', msg.error || 'Failed to create session');
-          console.error('[Session] Creation failed:', msg.error);
-        }
+      case 'recordings':
+        renderRecordingList(msg.recordings || []);
         break;
 
       case 'folders':
@@ -1047,26 +1412,11 @@
         renderFolderList();
         break;
 
-      case 'start_folder_session_result':
-        folderSessionPending = false;
-        if (msg.success) {
-          if (msg.alreadyRunning) {
-            showUploadStatus('success', `${msg.folderName} already running`);
-          } else {
-            const mode = msg.skipPermissions ? ' (skip permissions)' : '';
-            showUploadStatus('success', `Started ${msg.folderName}${mode}`);
-          }
-          console.log(`[Session] Started: ${msg.folderName}`);
-          // Refresh project list after short delay to let session register
-          setTimeout(() => requestProjects(), 1500);
-        } else {
-          showUploadStatus('error', msg.error || 'Failed to start session');
-          console.error('[Session] Start failed:', msg.error);
-        }
-        break;
-
       case 'error':
-        console.error('[Server]', msg.message);
+        // Correlated errors go to the request's handler, the rest are just logged
+        if (msg.id === undefined || !failRequest(msg.id, msg)) {
+          console.error(`[Server] ${msg.code || 'ERROR'}:`, msg.message);
+        }
         break;
 
       default:
@@ -1095,9 +1445,14 @@
     requestProjects();
   }
 
+  // True if the signed-in role ranks at or above `required` (the relay enforces this too)
+  function hasRole(required) {
+    return !accountRole || ROLES.indexOf(accountRole) >= ROLES.indexOf(required);
+  }
+
   // Send input to server
   function sendInput(data) {
-    if (!focusedSessionId) return;
+    if (!focusedSessionId || !hasRole('operator')) return;
 
     // Check if session is connected before sending
     const session = sessions.get(focusedSessionId);
@@ -1105,19 +1460,122 @@
       // Still send - server will buffer if connection is establishing
       console.log('[Input] Session not connected yet, input may be delayed');
     }
-    wsSend({ type: 'input', data });
+    pendingInput += data;
+    if (!inputFlushTimer) {
+      inputFlushTimer = setTimeout(flushInput, INPUT_COALESCE_MS);
+    }
+  }
+
+  // Send batched keystrokes; a batch the relay rate-limits is retried instead of lost
+  function flushInput() {
+    clearTimeout(inputFlushTimer);
+    inputFlushTimer = null;
+    if (!pendingInput) return;
+
+    const data = pendingInput;
+    pendingInput = '';
+    const last = inputQueue[inputQueue.length - 1];
+    if (last && last.msg.type === 'input' && last.msg.sessionId === focusedSessionId
+      && !(inputInFlight && inputQueue.length === 1)) {
+      // Still waiting behind the batch in flight - no need for another request
+      last.msg.data += data;
+      return;
+    }
+    queueInput({ type: 'input', sessionId: focusedSessionId, data }, inputNotDelivered);
+  }
+
+  function inputNotDelivered(err) {
+    console.error(`[Input] Not delivered (${err.code}):`, err.message);
+    showUploadStatus('error', `Input not delivered: ${err.message}`);
+  }
+
+  // Input and keys go one request at a time, each after the previous one's ack, so a
+  // rate-limited one is resent before anything typed after it (and to its own session).
+  // delayMs holds a message back that long once it is next in line.
+  function queueInput(msg, onError, { delayMs = 0 } = {}) {
+    inputQueue.push({ msg, onError, delayMs });
+    sendQueuedInput();
   }
 
-  // Send control key
+  function sendQueuedInput() {
+    if (inputInFlight || inputQueue.length === 0) return;
+    const entry = inputQueue[0];
+    if (entry.delayMs) {
+      const delayMs = entry.delayMs;
+      entry.delayMs = 0;
+      inputInFlight = true;
+      setTimeout(() => {
+        inputInFlight = false;
+        sendQueuedInput();
+      }, delayMs);
+      return;
+    }
+    if (!relayPeer.capabilities.includes('ack')) {
+      // Older relays don't ack, so there's nothing to wait for
+      inputQueue.shift();
+      wsSend(entry.msg);
+      sendQueuedInput();
+      return;
+    }
+
+    inputInFlight = true;
+    sendRequest(entry.msg, {
+      onAck: () => {
+        inputQueue.shift();
+        inputInFlight = false;
+        sendQueuedInput();
+      },
+      onError: (err) => {
+        if (err.code === 'RATE_LIMITED') {
+          // Stays at the front, sent again once the relay allows it
+          setTimeout(() => {
+            inputInFlight = false;
+            sendQueuedInput();
+          }, err.retryAfterMs || 100);
+          showUploadStatus('error', 'Typing too fast - catching up');
+          return;
+        }
+        inputQueue.shift();
+        inputInFlight = false;
+        entry.onError(err);
+        sendQueuedInput();
+      }
+    });
+  }
+
+  // Send control key (after any keystrokes still batched)
   function sendControl(key) {
-    if (focusedSessionId) {
-      wsSend({ type: 'control', key });
+    if (focusedSessionId && hasRole('operator')) {
+      flushInput();
+      queueInput({ type: 'control', key }, (err) => {
+        console.error(`[Input] Control ${key} not delivered (${err.code}):`, err.message);
+      });
+    }
+  }
+
+  // Send a key chord (after any keystrokes still batched)
+  function sendKey(chord) {
+    if (!focusedSessionId || !hasRole('operator')) return;
+    if (!relayPeer.capabilities.includes('keys')) {
+      // Older relays only know the three control names
+      if (LEGACY_CONTROL_KEYS[chord]) {
+        sendControl(LEGACY_CONTROL_KEYS[chord]);
+      } else {
+        showUploadStatus('error', `Relay does not support ${chord}`);
+      }
+      return;
     }
+    flushInput();
+    queueInput({ type: 'key', sessionId: focusedSessionId, key: chord }, (err) => {
+      console.error(`[Input] Key ${chord} not delivered (${err.code}):`, err.message);
+      showUploadStatus('error', `Key not sent: ${err.message}`);
+    });
   }
 
   // Send resize
   function sendResize() {
-    if (focusedSessionId && focusTerm) {
+    if (focusedSessionId && focusTerm && hasRole('operator')) {
+      flushInput();
       wsSend({
         type: 'resize',
         cols: focusTerm.cols,
@@ -1198,12 +1656,24 @@
         const dataUrl = reader.result;
         const base64 = dataUrl.split(',')[1];
 
-        wsSend({
+        sendRequest({
           type: 'upload_file',
           sessionId: sessionId,
           filename: file.name,
           data: base64,
           size: file.size
+        }, {
+          onAck: (msg) => {
+            uploadInProgress = false;
+            showUploadStatus('success', `Uploaded ${msg.filename}`);
+            console.log(`[Upload] Success: ${msg.filename} -> ${msg.path}`);
+          },
+          onError: (err) => {
+            uploadInProgress = false;
+            showUploadStatus('error', err.message || 'Upload failed');
+            console.error(`[Upload] Failed (${err.code}):`, err.message);
+          },
+          resend: true
         });
       } catch (err) {
         uploadInProgress = false;
@@ -1261,10 +1731,24 @@
     createSessionBtn.disabled = true;
     showUploadStatus('uploading', `Creating ${projectName}...`);
 
-    ws.send(JSON.stringify({
-      type: 'create_session',
-      projectName
-    }));
+    sendRequest({ type: 'create_session', projectName }, {
+      onAck: (msg) => {
+        createSessionPending = false;
+        if (createSessionBtn) createSessionBtn.disabled = false;
+        showUploadStatus('success', `Created ${msg.projectName}`);
+        console.log(`[Session] Created: ${msg.projectName} at ${msg.path}`);
+        // Clear input and refresh sessions
+        if (newSessionName) newSessionName.value = '';
+        requestSessions();
+      },
+      onError: (err) => {
+        createSessionPending = false;
+        if (createSessionBtn) createSessionBtn.disabled = false;
+        showUploadStatus('error', err.message || 'Failed to create session');
+        console.error(`[Session] Creation failed (${err.code}):`, err.message);
+      },
+      resend: true
+    });
   }
 
   // Open folder panel
@@ -1292,6 +1776,309 @@
     }
   }
 
+  // Open recordings panel
+  function openRecordingsPanel() {
+    if (recordingsPanel) {
+      recordingsPanel.classList.add('visible');
+      requestRecordings();
+    }
+  }
+
+  // Close recordings panel
+  function closeRecordingsPanel() {
+    if (recordingsPanel) {
+      recordingsPanel.classList.remove('visible');
+    }
+  }
+
+  // Request recording list from server
+  function requestRecordings() {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      recordingsList.innerHTML = '<p class="folder-loading">Loading recordings...</p>';
+      ws.send(JSON.stringify({ type: 'list_recordings' }));
+    }
+  }
+
+  // Render recording list (tap to replay, icon to download)
+  function renderRecordingList(recordings) {
+    if (!recordingsList) return;
+
+    if (recordings.length === 0) {
+      recordingsList.innerHTML = `
+        <div class="folder-empty">
+          <p>No recordings yet</p>
+          <p class="hint">Start hosts with RECORD_SESSIONS=true</p>
+        </div>
+      `;
+      return;
+    }
+
+    recordingsList.innerHTML = recordings.map(rec => {
+      const url = `recordings/${encodeURIComponent(rec.name)}`;
+      const details = `${formatTimeAgo(new Date(rec.started))} · ${formatPlaybackTime(rec.duration)} · ${Math.ceil(rec.size / 1024)} KB`;
+      return `
+        <div class="folder-item" data-recording="${escapeHtml(rec.name)}">
+          <div class="folder-icon">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M8 5v14l11-7z"/>
+            </svg>
+          </div>
+          <div class="folder-info">
+            <div class="folder-name">${escapeHtml(rec.sessionId)}</div>
+            <div class="folder-status">${escapeHtml(details)}</div>
+          </div>
+          <a class="recording-download" href="${escapeHtml(url)}?download" download="${escapeHtml(rec.name)}" title="Download .cast">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+            </svg>
+          </a>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Fetch a recording and replay it in the focus view
+  function openPlayback(name) {
+    closeRecordingsPanel();
+    fetch(`recordings/${encodeURIComponent(name)}`, { credentials: 'same-origin' })
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(text => startPlayback(name, parseAsciicast(text)))
+      .catch(err => {
+        console.error('[Playback] Failed to load recording:', err.message);
+        showUploadStatus('error', 'Failed to load recording');
+      });
+  }
+
+  // Parse asciicast v2: header line, then [time, code, data] events (output and resizes are replayed)
+  function parseAsciicast(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    const header = JSON.parse(lines[0]);
+    if (header.version !== 2) {
+      throw new Error(`Unsupported asciicast version ${header.version}`);
+    }
+
+    const events = [];
+    let duration = 0;
+    for (const line of lines.slice(1)) {
+      try {
+        const [t, code, data] = JSON.parse(line);
+        duration = Math.max(duration, t);
+        if (code === 'o' || code === 'r') {
+          events.push({ t, code, data });
+        }
+      } catch (err) {
+        // Truncated last line of a recording still being written
+      }
+    }
+    return { header, events, duration };
+  }
+
+  function startPlayback(name, cast) {
+    stopPlayback();
+    closeComposer();
+    focusedSessionId = null; // Keystrokes must not reach a live session while replaying
+
+    const { term } = createTerminal();
+    term.open(playbackTerminal);
+    term.resize(cast.header.width || 80, cast.header.height || 24);
+
+    playback = {
+      name,
+      term,
+      ...cast,
+      position: 0,
+      nextIndex: 0,
+      speed: parseFloat(playbackSpeed.value) || 1,
+      playing: false,
+      timer: null,
+      lastTick: 0
+    };
+
+    focusSessionName.textContent = cast.header.title || name;
+    focusSessionStatus.textContent = 'Replay';
+    focusSessionStatus.className = 'status-badge replay';
+    playbackSeek.max = String(cast.duration);
+
+    focusView.classList.add('playback');
+    focusView.classList.remove('no-animate');
+    switchView('focus');
+    updatePlaybackControls();
+    playPlayback();
+  }
+
+  // Leave replay mode and free its terminal
+  function stopPlayback() {
+    if (!playback) return;
+    clearTimeout(playback.timer);
+    playback.term.dispose();
+    playback = null;
+    focusView.classList.remove('playback');
+  }
+
+  function playPlayback() {
+    if (!playback || playback.playing) return;
+    if (playback.position >= playback.duration) {
+      seekPlayback(0);
+    }
+    playback.playing = true;
+    playback.lastTick = performance.now();
+    playback.timer = setTimeout(playbackTick, PLAYBACK_TICK_MS);
+    updatePlaybackControls();
+  }
+
+  function pausePlayback() {
+    if (!playback) return;
+    playback.playing = false;
+    clearTimeout(playback.timer);
+    playback.timer = null;
+    updatePlaybackControls();
+  }
+
+  function playbackTick() {
+    if (!playback || !playback.playing) return;
+    const now = performance.now();
+    playback.position = Math.min(playback.duration, playback.position + (now - playback.lastTick) / 1000 * playback.speed);
+    playback.lastTick = now;
+    applyPlaybackEvents();
+
+    if (playback.position >= playback.duration) {
+      pausePlayback();
+      return;
+    }
+    updatePlaybackControls();
+    playback.timer = setTimeout(playbackTick, PLAYBACK_TICK_MS);
+  }
+
+  // Write every event up to the current position, batching output between resizes
+  function applyPlaybackEvents() {
+    const { term, events } = playback;
+    let output = '';
+    while (playback.nextIndex < events.length && events[playback.nextIndex].t <= playback.position) {
+      const event = events[playback.nextIndex++];
+      if (event.code === 'o') {
+        output += event.data;
+      } else {
+        if (output) {
+          term.write(output);
+          output = '';
+        }
+        const [cols, rows] = String(event.data).split('x').map(n => parseInt(n, 10));
+        if (cols > 0 && rows > 0) term.resize(cols, rows);
+      }
+    }
+    if (output) term.write(output);
+  }
+
+  // Jump to a position: rebuild the screen from the start of the recording
+  function seekPlayback(position) {
+    if (!playback) return;
+    playback.position = Math.max(0, Math.min(position, playback.duration));
+    playback.nextIndex = 0;
+    playback.term.reset();
+    playback.term.resize(playback.header.width || 80, playback.header.height || 24);
+    applyPlaybackEvents();
+    playback.lastTick = performance.now();
+    updatePlaybackControls();
+  }
+
+  function updatePlaybackControls() {
+    if (!playback) return;
+    playbackToggle.classList.toggle('playing', playback.playing);
+    playbackSeek.value = String(playback.position);
+    playbackTime.textContent = `${formatPlaybackTime(playback.position)} / ${formatPlaybackTime(playback.duration)}`;
+  }
+
+  function formatPlaybackTime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  // Open history panel for the focused session
+  function openHistoryPanel() {
+    if (!historyPanel || !focusedSessionId) return;
+    if (!relayPeer.capabilities.includes('history')) {
+      showUploadStatus('error', 'History not supported by this relay');
+      return;
+    }
+    historySessionId = focusedSessionId;
+    historyStart = null;
+    historyContent.textContent = '';
+    historyTitle.textContent = `History · ${focusedSessionId}`;
+    historyPanel.classList.add('visible');
+    loadOlderHistory();
+  }
+
+  // Close history panel
+  function closeHistoryPanel() {
+    if (historyPanel) {
+      historyPanel.classList.remove('visible');
+      historySessionId = null;
+    }
+  }
+
+  // Request the page before the oldest one shown and prepend it
+  function loadOlderHistory() {
+    if (!historySessionId || historyLoading) return;
+    const sessionId = historySessionId;
+    const request = { type: 'load_history', sessionId };
+    if (historyStart !== null) request.before = historyStart;
+
+    historyLoading = true;
+    historyLoadOlder.disabled = true;
+    historyLoadOlder.textContent = 'Loading...';
+
+    sendRequest(request, {
+      onAck: (page) => {
+        historyLoading = false;
+        if (historySessionId !== sessionId) return;
+
+        // Keep the reader's place while older text is inserted above it
+        const firstPage = historyStart === null;
+        const previousHeight = historyList.scrollHeight;
+        historyContent.textContent = historyText(page.data) + historyContent.textContent;
+        historyStart = page.start;
+        if (firstPage) {
+          historyList.scrollTop = historyList.scrollHeight;
+        } else {
+          historyList.scrollTop += historyList.scrollHeight - previousHeight;
+        }
+
+        historyLoadOlder.disabled = false;
+        historyLoadOlder.textContent = 'Load older';
+        historyLoadOlder.classList.toggle('hidden', !page.hasMore);
+      },
+      onError: (err) => {
+        historyLoading = false;
+        historyLoadOlder.disabled = false;
+        historyLoadOlder.textContent = 'Load older';
+        if (historySessionId === sessionId && historyStart === null) {
+          historyContent.textContent = err.code === 'SESSION_NOT_FOUND' ? 'No history recorded for this session.' : '';
+          historyLoadOlder.classList.add('hidden');
+        }
+        if (err.code !== 'SESSION_NOT_FOUND') {
+          showUploadStatus('error', err.message || 'Failed to load history');
+        }
+      }
+    });
+  }
+
+  // Plain text for the history panel: no escape codes, carriage-return rewrites collapsed
+  function historyText(data) {
+    return stripAnsi(data)
+      .split('\n')
+      .map(line => {
+        const parts = line.split('\r').filter(part => part.length > 0);
+        return parts.length > 0 ? parts[parts.length - 1] : '';
+      })
+      .join('\n');
+  }
+
   // Render folder list
   function renderFolderList() {
     if (!folderList) return;
@@ -1396,11 +2183,11 @@
 
     showUploadStatus('uploading', `Starting ${folderName}...`);
 
-    ws.send(JSON.stringify({
+    sendRequest({
       type: 'start_folder_session',
       folderName,
       skipPermissions
-    }));
+    }, { onAck: onFolderSessionStarted, onError: onFolderSessionFailed, resend: true });
   }
 
   // Ambient music controls
@@ -1511,6 +2298,8 @@
 
   // Show iOS keyboard - improved for Safari reliability
   function showKeyboard() {
+    if (!hasRole('operator')) return; // Viewers watch only
+
     // Clear any previous value to ensure clean state
     hiddenInput.value = '';
 
@@ -1533,6 +2322,184 @@
     document.body.classList.remove('keyboard-visible');
   }
 
+  // Open the prompt composer with the focused session's draft
+  function openComposer() {
+    if (!focusedSessionId || !composerText || !hasRole('operator')) return;
+    hideKeyboard();
+    composerText.value = composerDrafts.get(focusedSessionId) || '';
+    updateComposer();
+    focusView.classList.add('composing');
+    setTimeout(() => composerText.focus(), 10);
+  }
+
+  // Close the composer, keeping what was written as the session's draft
+  function closeComposer() {
+    if (!composerText || !focusView.classList.contains('composing')) return;
+    saveDraft(focusedSessionId, composerText.value);
+    composerText.blur();
+    focusView.classList.remove('composing');
+  }
+
+  function loadDrafts() {
+    try {
+      return new Map(Object.entries(JSON.parse(localStorage.getItem('cnm-drafts') || '{}')));
+    } catch (err) {
+      return new Map();
+    }
+  }
+
+  function saveDraft(sessionId, text) {
+    if (!sessionId) return;
+    if (text.trim()) {
+      composerDrafts.set(sessionId, text);
+    } else {
+      composerDrafts.delete(sessionId);
+    }
+    try {
+      localStorage.setItem('cnm-drafts', JSON.stringify(Object.fromEntries(composerDrafts)));
+    } catch (err) {
+      console.warn('[Composer] Could not save draft:', err.message);
+    }
+  }
+
+  // Reflect the draft state on the toggle and the Send button
+  function updateComposer() {
+    if (!composerText) return;
+    composerSend.disabled = !composerText.value.trim();
+    composerToggle.classList.toggle('has-draft', composerDrafts.has(focusedSessionId));
+  }
+
+  // Send the composed prompt as one bracketed paste, then Enter to submit it
+  function sendComposer() {
+    const text = composerText.value;
+    const sessionId = focusedSessionId;
+    if (!sessionId || !text.trim() || !hasRole('operator')) return;
+
+    // Terminals paste newlines as carriage returns; a stray end marker would cut the paste short
+    const body = text.replace(/\r?\n/g, '\r').split(PASTE_END).join('');
+    const bracketed = focusTerm?.modes?.bracketedPasteMode !== false;
+    sendInput(bracketed ? PASTE_START + body + PASTE_END : body);
+    flushInput();
+    // Enter as its own message, a moment after the paste is in (arriving together, it would
+    // count as part of the paste), and to this session whatever is focused by then
+    queueInput({ type: 'input', sessionId, data: '\r' }, inputNotDelivered, { delayMs: COMPOSER_SUBMIT_DELAY });
+
+    composerText.value = '';
+    saveDraft(sessionId, '');
+    closeComposer();
+    updateComposer();
+  }
+
+  // Canonical form of a typed chord ('ctrl+r' -> 'Ctrl+R'), or null if it names no key
+  function normalizeChord(text) {
+    const parts = text.trim().split('+').map(part => part.trim());
+    const key = parts.pop();
+    if (!key) return null;
+    const modifiers = new Set();
+    for (const part of parts) {
+      const modifier = KEY_MODIFIERS[part.toLowerCase()];
+      if (!modifier) return null;
+      modifiers.add(modifier);
+    }
+    let name;
+    if (key.length === 1) {
+      name = modifiers.has('Ctrl') ? key.toUpperCase() : key;
+    } else {
+      name = KEY_NAMES[key.toLowerCase()];
+      if (!name) return null;
+    }
+    return [...['Ctrl', 'Alt', 'Shift'].filter(m => modifiers.has(m)), name].join('+');
+  }
+
+  // Short button label: 'Ctrl+C' -> '^C', 'Shift+Tab' -> '⇧⇥'
+  function keyLabel(chord) {
+    const parts = chord.split('+');
+    const key = parts.pop();
+    return parts.map(m => MODIFIER_SYMBOLS[m]).join('') + (KEY_SYMBOLS[key] || key);
+  }
+
+  function keyTitle(chord) {
+    const preset = KEY_PRESETS.find(p => p.chord === chord);
+    return preset && preset.title !== chord ? `${preset.title} (${chord})` : chord;
+  }
+
+  function loadToolbarKeys() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('cnm-toolbar-keys'));
+      if (Array.isArray(saved)) {
+        return saved.filter(chord => typeof chord === 'string' && normalizeChord(chord) === chord);
+      }
+    } catch (err) {
+      // Fall through to the defaults
+    }
+    return [...DEFAULT_TOOLBAR_KEYS];
+  }
+
+  function saveToolbarKeys() {
+    try {
+      localStorage.setItem('cnm-toolbar-keys', JSON.stringify(toolbarKeys));
+    } catch (err) {
+      console.warn('[Keys] Could not save toolbar:', err.message);
+    }
+  }
+
+  // Header buttons, one per configured chord
+  function renderKeyToolbar() {
+    if (!keyToolbar) return;
+    keyToolbar.innerHTML = toolbarKeys.map(chord =>
+      `<button class="header-ctrl-btn" data-chord="${escapeHtml(chord)}" title="${escapeHtml(keyTitle(chord))}">${escapeHtml(keyLabel(chord))}</button>`
+    ).join('');
+  }
+
+  // Presets plus any custom chords, active ones highlighted
+  function renderKeysPanel() {
+    if (!keysList) return;
+    const chords = [...KEY_PRESETS.map(p => p.chord), ...toolbarKeys.filter(c => !KEY_PRESETS.some(p => p.chord === c))];
+    keysList.innerHTML = chords.map(chord => `
+      <button class="key-chip${toolbarKeys.includes(chord) ? ' active' : ''}" data-chord="${escapeHtml(chord)}" title="${escapeHtml(keyTitle(chord))}">
+        <span class="key-chip-label">${escapeHtml(keyLabel(chord))}</span>
+        <span class="key-chip-chord">${escapeHtml(chord)}</span>
+      </button>
+    `).join('');
+  }
+
+  function setToolbarKeys(chords) {
+    toolbarKeys = chords;
+    saveToolbarKeys();
+    renderKeyToolbar();
+    renderKeysPanel();
+  }
+
+  function toggleToolbarKey(chord) {
+    setToolbarKeys(toolbarKeys.includes(chord) ? toolbarKeys.filter(c => c !== chord) : [...toolbarKeys, chord]);
+  }
+
+  function addCustomKey() {
+    const chord = normalizeChord(keysCustomInput.value);
+    if (!chord) {
+      keysCustomInput.classList.add('invalid');
+      return;
+    }
+    keysCustomInput.value = '';
+    keysCustomInput.classList.remove('invalid');
+    if (!toolbarKeys.includes(chord)) {
+      setToolbarKeys([...toolbarKeys, chord]);
+    }
+  }
+
+  function openKeysPanel() {
+    if (keysPanel) {
+      renderKeysPanel();
+      keysPanel.classList.add('visible');
+    }
+  }
+
+  function closeKeysPanel() {
+    if (keysPanel) {
+      keysPanel.classList.remove('visible');
+    }
+  }
+
   // Toggle fullscreen
   function toggleFullscreen() {
     document.body.classList.toggle('fullscreen');
@@ -1645,6 +2612,94 @@
       });
     }
 
+    // Sign out (ends the relay session, then back to the sign-in page)
+    // Devices and pairing (admins only; the button is hidden for other roles)
+    if (adminBtn) {
+      adminBtn.addEventListener('click', () => {
+        window.location.href = 'admin.html';
+      });
+    }
+
+    if (logoutBtn) {
+      logoutBtn.addEventListener('click', () => {
+        if (accessSignIn) {
+          // The identity lives in Cloudflare's session; end that one
+          window.location.href = '/cdn-cgi/access/logout';
+          return;
+        }
+        fetch('auth/logout', { method: 'POST', credentials: 'same-origin' })
+          .catch(() => {})
+          .then(() => window.location.replace('login.html'));
+      });
+    }
+
+    // Recordings button and panel
+    if (recordingsBtn) {
+      recordingsBtn.addEventListener('click', openRecordingsPanel);
+    }
+    if (recordingsPanelClose) {
+      recordingsPanelClose.addEventListener('click', closeRecordingsPanel);
+    }
+    if (recordingsPanel) {
+      recordingsPanel.addEventListener('click', (e) => {
+        if (e.target === recordingsPanel) {
+          closeRecordingsPanel();
+        }
+      });
+    }
+    if (recordingsList) {
+      recordingsList.addEventListener('click', (e) => {
+        if (e.target.closest('.recording-download')) return; // Let the link download
+        const item = e.target.closest('.folder-item');
+        if (item && item.dataset.recording) {
+          openPlayback(item.dataset.recording);
+        }
+      });
+    }
+
+    // Playback controls
+    if (playbackToggle) {
+      playbackToggle.addEventListener('click', () => {
+        if (playback?.playing) {
+          pausePlayback();
+        } else {
+          playPlayback();
+        }
+      });
+    }
+    if (playbackSeek) {
+      playbackSeek.addEventListener('input', () => {
+        seekPlayback(parseFloat(playbackSeek.value) || 0);
+      });
+    }
+    if (playbackSpeed) {
+      playbackSpeed.addEventListener('change', () => {
+        if (playback) playback.speed = parseFloat(playbackSpeed.value) || 1;
+      });
+    }
+
+    // History button (focus view) and panel
+    if (historyBtn) {
+      historyBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openHistoryPanel();
+      });
+    }
+    if (historyPanelClose) {
+      historyPanelClose.addEventListener('click', closeHistoryPanel);
+    }
+    if (historyPanel) {
+      historyPanel.addEventListener('click', (e) => {
+        if (e.target === historyPanel) {
+          closeHistoryPanel();
+        }
+      });
+    }
+    if (historyLoadOlder) {
+      historyLoadOlder.addEventListener('click', loadOlderHistory);
+    }
+
     // Music toggle button
     if (musicBtn) {
       musicBtn.addEventListener('click', () => {
@@ -1688,19 +2743,57 @@
       });
     }
 
-    // Control buttons (in header)
-    controlBtns.forEach(btn => {
-      btn.addEventListener('click', (e) => {
+    // Key buttons (in header)
+    renderKeyToolbar();
+    if (keyToolbar) {
+      keyToolbar.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-chord]');
+        if (!btn) return;
         e.preventDefault();
         e.stopPropagation();
-        const key = btn.dataset.key;
-        sendControl(key);
-        // Re-focus keyboard after control key to maintain input flow
+        sendKey(btn.dataset.chord);
+        // Re-focus keyboard after a key to maintain input flow
         if (document.body.classList.contains('keyboard-visible')) {
           showKeyboard();
         }
       });
-    });
+    }
+
+    // Toolbar key settings
+    if (keysBtn) {
+      keysBtn.addEventListener('click', openKeysPanel);
+    }
+    if (keysPanelClose) {
+      keysPanelClose.addEventListener('click', closeKeysPanel);
+    }
+    if (keysPanel) {
+      keysPanel.addEventListener('click', (e) => {
+        if (e.target === keysPanel) {
+          closeKeysPanel();
+        }
+      });
+    }
+    if (keysList) {
+      keysList.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-chord]');
+        if (chip) {
+          toggleToolbarKey(chip.dataset.chord);
+        }
+      });
+    }
+    if (keysCustomAdd) {
+      keysCustomAdd.addEventListener('click', addCustomKey);
+      keysCustomInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          addCustomKey();
+        }
+      });
+      keysCustomInput.addEventListener('input', () => keysCustomInput.classList.remove('invalid'));
+    }
+    if (keysReset) {
+      keysReset.addEventListener('click', () => setToolbarKeys([...DEFAULT_TOOLBAR_KEYS]));
+    }
 
     // Keyboard toggle
     keyboardToggle.addEventListener('click', (e) => {
@@ -1714,10 +2807,36 @@
 
     // Tap input bar to show keyboard
     inputBar.addEventListener('click', (e) => {
-      if (e.target === keyboardToggle || e.target.closest('#keyboard-toggle')) return;
+      if (e.target.closest('#keyboard-toggle') || e.target.closest('#composer-toggle')) return;
       showKeyboard();
     });
 
+    // Prompt composer
+    if (composerToggle && composerText) {
+      composerToggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        openComposer();
+      });
+      composerClose.addEventListener('click', closeComposer);
+      composerSend.addEventListener('click', sendComposer);
+
+      composerText.addEventListener('input', () => {
+        saveDraft(focusedSessionId, composerText.value);
+        updateComposer();
+      });
+
+      // Enter is a newline here; Ctrl/Cmd+Enter sends, Escape closes
+      composerText.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          sendComposer();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          closeComposer();
+        }
+      });
+    }
+
     // Create new session
     if (createSessionBtn && newSessionName) {
       createSessionBtn.addEventListener('click', () => {
@@ -1871,6 +2990,9 @@
     // Connect immediately - iOS self-signed cert stability handled by session cookie
     connect();
 
+    // Background tabs stop streaming (summaries only) until shown again
+    document.addEventListener('visibilitychange', updateVisibleSessions);
+
     // Periodic refresh of sessions
     setInterval(() => {
       if (ws && ws.readyState === WebSocket.OPEN) {
@@ -0,0 +1,135 @@
+// Celio's Network Machine - sign-in page
+// The secret is POSTed once; the relay answers with an HttpOnly session cookie that the
+// app and its WebSocket use from then on, so it never appears in a URL.
+// With two-factor sign-in on, the password only unlocks a second step asking for an
+// authenticator (or recovery) code. With an OpenID Connect provider set up, a button leads
+// to its login instead; failures come back as #error=. A pairing code (typed, or in the #pair= fragment of a
+// scanned QR code) is redeemed the same way for a device session of its own.
+(function() {
+  'use strict';
+
+  const form = document.getElementById('login-form');
+  const usernameInput = document.getElementById('login-username');
+  const passwordInput = document.getElementById('login-password');
+  const errorEl = document.getElementById('login-error');
+  const submitBtn = document.getElementById('login-submit');
+  const totpForm = document.getElementById('totp-form');
+  const totpCodeInput = document.getElementById('totp-code');
+  const totpErrorEl = document.getElementById('totp-error');
+  const totpSubmitBtn = document.getElementById('totp-submit');
+  const pairForm = document.getElementById('pair-form');
+  const pairCodeInput = document.getElementById('pair-code');
+  const pairErrorEl = document.getElementById('pair-error');
+  const pairSubmitBtn = document.getElementById('pair-submit');
+  const oidcLink = document.getElementById('oidc-login');
+
+  // Old bookmarks carried the token in the URL; keep it out of history from here on
+  // (and a pairing code too, once read - it only works once)
+  const pairMatch = window.location.hash.match(/^#pair=([0-9A-Za-z-]+)$/);
+  const errorMatch = window.location.hash.match(/^#error=(.*)$/);
+  if (window.location.search || window.location.hash) {
+    window.history.replaceState({}, document.title, window.location.pathname);
+  }
+
+  function showError(el, message) {
+    el.textContent = message;
+    el.classList.toggle('visible', !!message);
+  }
+
+  // Swap the password form for the code form (or back, when the relay asks to start over)
+  function showTotpStep(visible) {
+    form.hidden = visible;
+    pairForm.hidden = visible;
+    totpForm.hidden = !visible;
+    totpCodeInput.value = '';
+    (visible ? totpCodeInput : passwordInput).focus();
+  }
+
+  // POST to the relay; on success the session cookie is set and the app opens
+  function submit(path, payload, errorTarget, button, onFailure) {
+    showError(errorTarget, '');
+    button.disabled = true;
+
+    fetch(path, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+      .then(res => res.json().catch(() => ({})).then(body => ({ res, body })))
+      .then(({ res, body }) => {
+        if (res.ok && body.totpRequired) {
+          showTotpStep(true);
+          return;
+        }
+        if (res.ok) {
+          window.location.replace('./');
+          return;
+        }
+        if (body.restart) {
+          showTotpStep(false);
+          passwordInput.value = '';
+          showError(errorEl, body.error);
+          return;
+        }
+        if (res.status === 429) {
+          showError(errorTarget, `Too many attempts, try again in ${Math.ceil((body.retryAfterMs || 30000) / 1000)}s`);
+        } else {
+          showError(errorTarget, body.error || `Sign-in failed (HTTP ${res.status})`);
+        }
+        onFailure();
+      })
+      .catch(() => showError(errorTarget, 'Could not reach the server'))
+      .finally(() => { button.disabled = false; });
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit('auth/login', { username: usernameInput.value.trim(), password: passwordInput.value }, errorEl, submitBtn, () => {
+      passwordInput.value = '';
+      passwordInput.focus();
+    });
+  });
+
+  totpForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit('auth/totp', { code: totpCodeInput.value.trim() }, totpErrorEl, totpSubmitBtn, () => {
+      totpCodeInput.select();
+    });
+  });
+
+  pairForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submit('auth/pair', { code: pairCodeInput.value }, pairErrorEl, pairSubmitBtn, () => {
+      pairCodeInput.select();
+    });
+  });
+
+  // Offer single sign-on if the relay has a provider
+  fetch('auth/methods', { credentials: 'same-origin' })
+    .then(res => (res.ok ? res.json() : {}))
+    .then(({ oidc }) => {
+      if (oidc) {
+        oidcLink.textContent = `Sign in with ${oidc}`;
+        oidcLink.hidden = false;
+      }
+    })
+    .catch(() => {});
+
+  if (errorMatch) {
+    let message;
+    try {
+      message = decodeURIComponent(errorMatch[1]);
+    } catch {
+      message = 'Sign-in failed';
+    }
+    showError(errorEl, message);
+  }
+
+  if (pairMatch) {
+    pairCodeInput.value = pairMatch[1];
+    pairForm.requestSubmit();
+  } else {
+    (usernameInput.value ? passwordInput : usernameInput).focus();
+  }
+})();
@@ -0,0 +1,194 @@
+// User accounts - named logins with a role, kept in ~/.claude-relay/accounts.json
+//
+//   { "users": { "<name>": { "role": "viewer" | "operator" | "admin", "password": "scrypt$...", "email": "...", "totp": {...} } },
+//     "sharedToken": { "totp": {...} } }
+//
+// `email` links the account to a Cloudflare Access identity (see cloudflare-access.js).
+// `totp` is an optional second factor: { secret, lastStep, recovery: [sha256...], enabled }.
+// Roles are ranked: viewers watch, operators also type, send keys and upload, admins also
+// create and start sessions. The file is re-read when it changes, so edits made with
+// manage-accounts.js apply to the running relay without a restart.
+
+import { readFileSync, writeFileSync, renameSync, statSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+import crypto from 'crypto';
+import config from './config.js';
+import { verifyTotp, hashRecoveryCode } from './totp.js';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const ACCOUNTS_FILE = config.ACCOUNTS_FILE || join(homedir(), '.claude-relay', 'accounts.json');
+
+const USERNAME = /^[\w.@-]{1,64}$/;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+let cache = { mtimeMs: null, accounts: { users: {} } };
+
+// Compared against when a name is unknown, so timing doesn't reveal which names exist
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// True if `role` ranks at or above `required`
+export function roleAllows(role, required) {
+  return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export function isValidUsername(name) {
+  return typeof name === 'string' && USERNAME.test(name);
+}
+
+// scrypt$N$r$p$salt$hash (salt and hash base64)
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = typeof stored === 'string' ? stored.split('$') : [];
+  if (scheme !== 'scrypt' || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Current file contents; an unreadable or malformed file keeps the last good copy
+export function loadAccounts() {
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(ACCOUNTS_FILE).mtimeMs;
+  } catch (err) {
+    cache = { mtimeMs: null, accounts: { users: {} } };
+    return cache.accounts;
+  }
+  if (mtimeMs !== cache.mtimeMs) {
+    try {
+      const parsed = JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf8'));
+      const users = parsed && typeof parsed.users === 'object' && parsed.users ? parsed.users : {};
+      cache = { mtimeMs, accounts: { ...parsed, users } };
+    } catch (err) {
+      console.error(`[Auth] Could not read ${ACCOUNTS_FILE}: ${err.message}`);
+      cache.mtimeMs = mtimeMs;
+    }
+  }
+  return cache.accounts;
+}
+
+// Write the whole file (owner-only), replacing it atomically
+export function saveAccounts(accounts) {
+  mkdirSync(dirname(ACCOUNTS_FILE), { recursive: true, mode: 0o700 });
+  const tmp = `${ACCOUNTS_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(accounts, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmp, ACCOUNTS_FILE);
+  cache.mtimeMs = null;
+}
+
+export function hasAccounts() {
+  return Object.keys(loadAccounts().users).length > 0;
+}
+
+// { name, role } for an existing account with a valid role, else null
+export function getAccount(name) {
+  const users = loadAccounts().users;
+  const user = typeof name === 'string' && Object.hasOwn(users, name) ? users[name] : null;
+  if (!user || !isRole(user.role)) {
+    return null;
+  }
+  return { name, role: user.role };
+}
+
+// HMAC of an account's stored password, kept on its auth sessions: a new password (even
+// the same one, rehashed with a new salt) signs out every browser and device signed in before
+export function passwordFingerprint(name) {
+  const users = loadAccounts().users;
+  const user = typeof name === 'string' && Object.hasOwn(users, name) ? users[name] : null;
+  return user ? crypto.createHmac('sha256', user.password || '').update('relay_session').digest('hex') : null;
+}
+
+// Account linked to an email address (case-insensitive), or null
+export function getAccountByEmail(email) {
+  if (typeof email !== 'string') return null;
+  const wanted = email.toLowerCase();
+  const users = loadAccounts().users;
+  const name = Object.keys(users).find(n => typeof users[n].email === 'string' && users[n].email.toLowerCase() === wanted);
+  return name ? getAccount(name) : null;
+}
+
+// Check a username and password, returning the account
+export function authenticate(name, password) {
+  const users = loadAccounts().users;
+  const user = typeof name === 'string' && Object.hasOwn(users, name) ? users[name] : null;
+  if (typeof password !== 'string') {
+    return null;
+  }
+  if (!user) {
+    verifyPassword(password, DUMMY_HASH);
+    return null;
+  }
+  return verifyPassword(password, user.password) ? getAccount(name) : null;
+}
+
+// Where a second factor lives: an account's entry, or the shared token's (name null)
+function totpHolder(accounts, name) {
+  if (name === null) {
+    accounts.sharedToken ||= {};
+    return accounts.sharedToken;
+  }
+  return Object.hasOwn(accounts.users, name) ? accounts.users[name] : null;
+}
+
+// Second factor for an account (null name: the shared token), or null if not enrolled
+export function getTotp(name) {
+  const totp = totpHolder(loadAccounts(), name)?.totp;
+  return totp && typeof totp.secret === 'string' ? totp : null;
+}
+
+// Enroll (or with null, remove) a second factor
+export function setTotp(name, totp) {
+  const accounts = loadAccounts();
+  const holder = totpHolder(accounts, name);
+  if (!holder) {
+    throw new Error(`No account named "${name}"`);
+  }
+  if (totp) {
+    holder.totp = totp;
+  } else {
+    delete holder.totp;
+  }
+  saveAccounts(accounts);
+}
+
+// Check an authenticator code or a recovery code, using it up: 'totp', 'recovery', or null.
+// A code from a time step already used is refused, so an observed code can't be replayed.
+export function verifySecondFactor(name, code) {
+  const totp = getTotp(name);
+  if (!totp || typeof code !== 'string') {
+    return null;
+  }
+  const step = verifyTotp(totp.secret, code);
+  if (step !== null) {
+    if (step <= (totp.lastStep ?? -1)) {
+      return null;
+    }
+    setTotp(name, { ...totp, lastStep: step });
+    return 'totp';
+  }
+  const hash = hashRecoveryCode(code);
+  const recovery = Array.isArray(totp.recovery) ? totp.recovery : [];
+  if (/^\s*\d{6}\s*$/.test(code) || !recovery.includes(hash)) {
+    return null;
+  }
+  setTotp(name, { ...totp, recovery: recovery.filter(h => h !== hash) });
+  return 'recovery';
+}
@@ -8,12 +8,19 @@
 
 import pty from 'node-pty';
 import net from 'net';
-import { writeFileSync, unlinkSync, mkdirSync, existsSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
-import { execSync } from 'child_process';
 import readline from 'readline';
 import config from './config.js';
+import { createEndpoint, prepareEndpoint, cleanupEndpoint } from './transport.js';
+import { SessionRegistration, REGISTRY_UPDATE_INTERVAL } from './registry.js';
+import { createHello, negotiate, LEGACY_PEER, HOST_CAPABILITIES, LEGACY_SYNC_DELAY_MS } from './protocol.js';
+import { ReplayBuffer } from './replay-buffer.js';
+import { ScrollbackBuffer } from './scrollback-buffer.js';
+import { ScreenModel } from './screen-model.js';
+import { ScrollbackLog } from './scrollback-log.js';
+import { AsciicastRecorder } from './recorder.js';
+import { Coalescer } from './coalescer.js';
+import { resolveClaudeCommand } from './claude-command.js';
+import { encodeKey, CONTROL_KEY_CHORDS } from './keys.js';
 
 // Get args
 const sessionId = process.argv[2];
@@ -26,38 +33,6 @@ if (initIndex !== -1 && process.argv[initIndex + 1]) {
   initInput = process.argv[initIndex + 1].replace(/\\n/g, '\r');
 }
 
-// Resolve claude command
-function resolveClaudeCommand() {
-  // 1. Use config (which checks env var first)
-  if (config.CLAUDE_CMD && existsSync(config.CLAUDE_CMD)) {
-    return config.CLAUDE_CMD;
-  }
-
-  // 2. Try to find in PATH using 'where' (Windows) or 'which' (Unix)
-  try {
-    const cmd = process.platform === 'win32' ? 'where claude' : 'which claude';
-    const result = execSync(cmd, { encoding: 'utf8' }).trim().split('\n')[0];
-    if (result && existsSync(result)) {
-      return result;
-    }
-  } catch {}
-
-  // 3. Common Windows locations
-  if (process.platform === 'win32') {
-    const commonPaths = [
-      join(homedir(), '.local', 'bin', 'claude.exe'),
-      join(homedir(), 'AppData', 'Local', 'Programs', 'claude', 'claude.exe'),
-      'C:\\Program Files\\Claude\\claude.exe'
-    ];
-    for (const p of commonPaths) {
-      if (existsSync(p)) return p;
-    }
-  }
-
-  // 4. Fallback - assume it's in PATH
-  return 'claude';
-}
-
 // Resolve command if it's 'claude'
 if (command === 'claude') {
   command = resolveClaudeCommand();
@@ -75,12 +50,8 @@ if (!sessionId) {
   process.exit(1);
 }
 
-const registryDir = join(homedir(), '.claude-relay', 'sessions');
-const pipeName = `\\\\.\\pipe\\claude-relay-${sessionId}`;
-const registryFile = join(registryDir, `${sessionId}.json`);
-
-// Ensure registry directory exists
-mkdirSync(registryDir, { recursive: true });
+const endpoint = createEndpoint(sessionId);
+const pipeName = endpoint.path;
 
 console.log('═══════════════════════════════════════════════════════');
 console.log(' Claude Code Session Attach');
@@ -94,100 +65,115 @@ if (command) {
 console.log('═══════════════════════════════════════════════════════');
 
 // Scrollback buffer
-const scrollbackLines = [];
-const MAX_SCROLLBACK = 10000;
+const scrollback = new ScrollbackBuffer({
+  maxBytes: config.SCROLLBACK_BYTES,
+  maxLines: config.SCROLLBACK_LINES,
+  compact: config.SCROLLBACK_COMPACT
+});
 const MAX_SCROLLBACK_SEND = 200; // Only send last 200 lines to prevent mobile jitter
 const MAX_SCROLLBACK_BYTES = 50000; // Max 50KB to send
-const PREVIEW_LINES = 12; // Lines to store in registry for dashboard preview
-const REGISTRY_UPDATE_INTERVAL = 3000; // Update registry every 3 seconds
-
-// Connected relay clients
-const clients = new Set();
 
-// Preview buffer for registry (stripped of ANSI)
-let previewBuffer = '';
-let lastActivity = Date.now();
-let registryUpdateTimer = null;
+// Sequence-numbered output kept for gap-free resume
+const replay = new ReplayBuffer(config.REPLAY_BUFFER_BYTES);
 
-// Strip ANSI escape codes
-function stripAnsi(str) {
-  return str.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '').replace(/\x1b\][^\x07]*\x07/g, '');
-}
+// Headless copy of the terminal, serialized for clients that need a full snapshot
+const screen = new ScreenModel({
+  cols: process.stdout.columns || 120,
+  rows: process.stdout.rows || 30,
+  scrollback: config.SNAPSHOT_SCROLLBACK_LINES
+});
 
-// Append to scrollback and update preview
-function appendScrollback(data) {
-  const lines = data.split('\n');
-  for (const line of lines) {
-    if (scrollbackLines.length >= MAX_SCROLLBACK) {
-      scrollbackLines.shift();
-    }
-    scrollbackLines.push(line);
+// Rotating on-disk copy of all output, kept after the host exits for paged history
+let scrollbackLog = null;
+if (config.SCROLLBACK_LOG_ENABLED) {
+  try {
+    scrollbackLog = new ScrollbackLog({
+      sessionId,
+      maxFileBytes: config.SCROLLBACK_LOG_FILE_BYTES,
+      maxFiles: config.SCROLLBACK_LOG_MAX_FILES
+    });
+  } catch (err) {
+    console.error(`[Log] Scrollback log disabled: ${err.message}`);
   }
-
-  // Update preview buffer (stripped of ANSI, last N lines)
-  const cleanData = stripAnsi(data);
-  previewBuffer = (previewBuffer + cleanData).split('\n').slice(-PREVIEW_LINES).join('\n');
-  lastActivity = Date.now();
 }
 
-// Update registry file with preview and health info
-function updateRegistry() {
+// Optional asciicast recording of output and resizes (and input, with RECORD_INPUT)
+let recorder = null;
+if (config.RECORD_SESSIONS) {
   try {
-    const sessionInfo = {
-      id: sessionId,
-      pipe: pipeName,
-      cwd: process.cwd(),
-      pid: ptyProcess ? ptyProcess.pid : process.pid,
-      started: startTime,
-      lastSeen: Date.now(),
-      preview: previewBuffer.slice(-2000), // Max 2KB preview
-      clientCount: clients.size,
-      status: ptyProcess ? 'running' : 'interactive'
-    };
-    writeFileSync(registryFile, JSON.stringify(sessionInfo, null, 2));
+    recorder = new AsciicastRecorder({ sessionId, cols: process.stdout.columns || 120, rows: process.stdout.rows || 30, command: command, input: config.RECORD_INPUT });
+    console.log(`[Record] Recording to ${recorder.file}`);
   } catch (err) {
-    // Ignore write errors
+    console.error(`[Record] Recording disabled: ${err.message}`);
   }
 }
 
-// Start periodic registry updates
-function startRegistryUpdates() {
-  if (registryUpdateTimer) clearInterval(registryUpdateTimer);
-  registryUpdateTimer = setInterval(updateRegistry, REGISTRY_UPDATE_INTERVAL);
-}
+// Connected relay clients
+const clients = new Set();
+
+// Registry entry with preview and health info
+const registration = new SessionRegistration({
+  id: sessionId,
+  endpoint,
+  cwd: process.cwd(),
+  getState: () => ({
+    pid: ptyProcess ? ptyProcess.pid : process.pid,
+    clientCount: clients.size,
+    status: ptyProcess ? 'running' : 'interactive'
+  })
+});
 
-// Session start time
-const startTime = Date.now();
+// Append to scrollback and update preview
+function appendScrollback(data) {
+  scrollback.append(data);
+  screen.write(data);
+  if (scrollbackLog) scrollbackLog.append(data);
+  if (recorder) recorder.output(data);
+
+  // Update preview buffer
+  registration.recordOutput(data);
+}
 
 // Get limited scrollback for sending to clients (prevents mobile jitter)
 function getScrollback() {
-  // Take last N lines
-  const linesToSend = scrollbackLines.slice(-MAX_SCROLLBACK_SEND);
-  let result = linesToSend.join('\n');
-
-  // Also limit by bytes
-  if (result.length > MAX_SCROLLBACK_BYTES) {
-    result = result.slice(-MAX_SCROLLBACK_BYTES);
-    // Find first newline to avoid partial line
-    const firstNewline = result.indexOf('\n');
-    if (firstNewline > 0) {
-      result = result.slice(firstNewline + 1);
-    }
-  }
-
-  return result;
+  return scrollback.tail({ maxLines: MAX_SCROLLBACK_SEND, maxBytes: MAX_SCROLLBACK_BYTES });
 }
 
 // Broadcast to all connected clients
 function broadcast(data) {
-  const message = JSON.stringify({ type: 'output', data });
+  const seq = replay.push(data);
+  const message = JSON.stringify({ type: 'output', seq, data });
   for (const client of clients) {
+    // Clients still waiting for sync get this chunk in their replay/snapshot instead
+    if (!client.synced) continue;
     try {
       client.write(message + '\n');
     } catch (err) {
       // Client disconnected
     }
   }
+  updatePtyFlow();
+}
+
+// Flow control: stop reading the PTY while a relay isn't draining its pipe, so a runaway
+// command blocks on its own output instead of piling it up here and on the relay
+let ptyPaused = false;
+
+function updatePtyFlow() {
+  if (!ptyProcess) return;
+  let backlog = 0;
+  for (const client of clients) {
+    backlog = Math.max(backlog, client.writableLength);
+  }
+  if (!ptyPaused && backlog > config.HOST_FLOW_HIGH_BYTES) {
+    ptyPaused = true;
+    ptyProcess.pause();
+    console.log(`[Flow] Relay ${backlog} bytes behind, pausing PTY`);
+  } else if (ptyPaused && backlog <= config.HOST_FLOW_LOW_BYTES) {
+    ptyPaused = false;
+    ptyProcess.resume();
+    console.log('[Flow] Relay caught up, resuming PTY');
+  }
 }
 
 // If a command is specified, spawn it in a PTY
@@ -208,21 +194,30 @@ if (command) {
     rows: process.stdout.rows || 30,
     cwd: process.cwd(),
     env: process.env,
-    useConpty: true
+    useConpty: process.platform === 'win32'
   });
 
   console.log(`[PTY] Spawned "${command}" with PID: ${ptyProcess.pid}`);
 
-  // PTY output -> local terminal + relay clients
+  // PTY output -> local terminal right away, relay clients in coalesced batches
+  const output = new Coalescer({
+    windowMs: config.OUTPUT_COALESCE_MS,
+    maxBytes: config.OUTPUT_COALESCE_BYTES,
+    onFlush: (data) => {
+      appendScrollback(data);
+      broadcast(data);
+    }
+  });
+
   ptyProcess.onData((data) => {
     process.stdout.write(data);
-    appendScrollback(data);
-    broadcast(data);
+    output.push(data);
   });
 
   // PTY exit
   ptyProcess.onExit(({ exitCode }) => {
     console.log(`\n[PTY] Process exited with code ${exitCode}`);
+    output.flush();
     cleanup();
     process.exit(exitCode || 0);
   });
@@ -233,12 +228,15 @@ if (command) {
     process.stdin.resume();
     process.stdin.on('data', (data) => {
       ptyProcess.write(data);
+      if (recorder) recorder.input(data.toString());
     });
   }
 
   // Handle resize
   process.stdout.on('resize', () => {
     ptyProcess.resize(process.stdout.columns, process.stdout.rows);
+    screen.resize(process.stdout.columns, process.stdout.rows);
+    if (recorder) recorder.resize(process.stdout.columns, process.stdout.rows);
   });
 
   // Send initial input after delay if specified
@@ -291,17 +289,18 @@ if (command) {
   });
 }
 
-// Create named pipe server for relay connections
+// Create named pipe / Unix socket server for relay connections
 const pipeServer = net.createServer((socket) => {
   console.log(`[Pipe] Relay client connected (total: ${clients.size + 1})`);
   clients.add(socket);
 
-  // Send scrollback on connect
-  const scrollback = getScrollback();
-  if (scrollback) {
-    socket.write(JSON.stringify({ type: 'scrollback', data: scrollback }) + '\n');
-  }
-  socket.write(JSON.stringify({ type: 'status', state: 'connected' }) + '\n');
+  // Announce protocol version first; relay's capabilities are unknown until its hello arrives
+  socket.peer = LEGACY_PEER;
+  socket.write(JSON.stringify(createHello('host', HOST_CAPABILITIES)) + '\n');
+
+  // Output starts once the relay says what it has already seen (older relays never do)
+  socket.synced = false;
+  socket.syncTimer = setTimeout(() => syncClient(socket, null, null), LEGACY_SYNC_DELAY_MS);
 
   let buffer = '';
 
@@ -315,31 +314,104 @@ const pipeServer = net.createServer((socket) => {
       if (!line.trim()) continue;
       try {
         const msg = JSON.parse(line);
-        handleRelayMessage(msg);
+        handleRelayMessage(msg, socket);
       } catch (err) {
         console.error(`[Pipe] Parse error: ${err.message}`);
       }
     }
   });
 
+  // Relay read everything written so far
+  socket.on('drain', updatePtyFlow);
+
   socket.on('close', () => {
+    clearTimeout(socket.syncTimer);
     clients.delete(socket);
+    updatePtyFlow();
     console.log(`[Pipe] Relay client disconnected (remaining: ${clients.size})`);
   });
 
   socket.on('error', (err) => {
     clients.delete(socket);
+    updatePtyFlow();
     console.error(`[Pipe] Socket error: ${err.message}`);
   });
 });
 
+// Bring a client up to date: replay the chunks after lastSeq, or send a screen snapshot
+// when that range has left the replay buffer (or belongs to a previous host)
+// A `ref` (multiplexing relays) syncs one of the relay's clients: replies carry the ref
+// and live output keeps flowing, since the relay holds it back for that client alone
+function syncClient(socket, lastSeq, epoch, ref = null) {
+  clearTimeout(socket.syncTimer);
+  const send = (msg) => socket.write(JSON.stringify(ref === null ? msg : { ...msg, ref }) + '\n');
+
+  const missed = replay.since(lastSeq, epoch);
+  if (missed) {
+    sendChunks(send, missed);
+    console.log(`[Pipe] Resumed client after seq ${lastSeq} (${missed.length} chunks replayed)`);
+    finishSync(socket, send);
+    return;
+  }
+
+  // Hold live output while the snapshot is taken; chunks after its seq are replayed
+  if (ref === null) socket.synced = false;
+  const seq = replay.lastSeq;
+  screen.snapshot((err, snapshot) => {
+    if (socket.destroyed) return;
+    if (err) {
+      console.error(`[Screen] Snapshot failed, sending raw scrollback: ${err.message}`);
+      const scrollback = getScrollback();
+      if (scrollback) {
+        send({ type: 'scrollback', data: scrollback, seq: replay.lastSeq });
+      }
+    } else {
+      if (snapshot) {
+        send({ type: 'scrollback', data: snapshot, seq, cols: screen.cols, rows: screen.rows });
+      }
+      sendChunks(send, replay.since(seq, replay.epoch) || []);
+    }
+    finishSync(socket, send);
+  });
+}
+
+function sendChunks(send, chunks) {
+  for (const chunk of chunks) {
+    send({ type: 'output', seq: chunk.seq, data: chunk.data });
+  }
+}
+
+function finishSync(socket, send) {
+  socket.synced = true;
+  send({ type: 'status', state: 'connected', epoch: replay.epoch, seq: replay.lastSeq });
+}
+
 // Handle messages from relay
-function handleRelayMessage(msg) {
+function handleRelayMessage(msg, socket) {
   switch (msg.type) {
+    case 'hello':
+      socket.peer = negotiate(HOST_CAPABILITIES, msg);
+      if (!socket.peer.capabilities.includes('seq')) {
+        syncClient(socket, null, null); // Relay won't send a sync
+      }
+      console.log(`[Pipe] Relay speaks protocol v${msg.protocol} (shared: ${socket.peer.capabilities.join(', ') || 'none'})`);
+      break;
+
+    case 'sync':
+      // Relay (re)attached a client - resume after its last seen sequence
+      syncClient(socket, msg.lastSeq, msg.epoch, typeof msg.ref === 'string' ? msg.ref : null);
+      break;
+
+    case 'ping':
+      // Liveness check from relay - echo its timestamp so it can measure latency
+      socket.write(JSON.stringify({ type: 'pong', ts: msg.ts }) + '\n');
+      break;
+
     case 'input':
       if (typeof msg.data === 'string') {
         if (ptyProcess) {
           ptyProcess.write(msg.data);
+          if (recorder) recorder.input(msg.data);
         } else {
           // Echo to terminal in interactive mode
           process.stdout.write(msg.data);
@@ -350,34 +422,35 @@ function handleRelayMessage(msg) {
       break;
 
     case 'control':
-      const controlKeys = {
-        'CTRL_C': '\x03',
-        'CTRL_D': '\x04',
-        'ESC': '\x1b'
-      };
-      if (controlKeys[msg.key] && ptyProcess) {
-        ptyProcess.write(controlKeys[msg.key]);
+    case 'key': {
+      // Chords are encoded here, where the screen model knows the cursor-key mode
+      const chord = msg.type === 'control' ? CONTROL_KEY_CHORDS[msg.key] : msg.key;
+      const sequence = encodeKey(chord, { applicationCursor: screen.applicationCursor });
+      if (sequence && ptyProcess) {
+        ptyProcess.write(sequence);
+        if (recorder) recorder.input(sequence);
       }
       break;
+    }
 
     case 'resize':
       if (ptyProcess && typeof msg.cols === 'number' && typeof msg.rows === 'number') {
         ptyProcess.resize(msg.cols, msg.rows);
+        screen.resize(msg.cols, msg.rows);
+        if (recorder) recorder.resize(msg.cols, msg.rows);
       }
       break;
   }
 }
 
 // Start pipe server
+prepareEndpoint(endpoint);
 pipeServer.listen(pipeName, () => {
   console.log(`[Pipe] Listening on ${pipeName}`);
 
-  // Register session with initial info
-  updateRegistry();
+  // Register session and start periodic registry updates (for preview + health)
+  registration.start();
   console.log(`[Registry] Session registered`);
-
-  // Start periodic registry updates (for preview + health)
-  startRegistryUpdates();
   console.log(`[Registry] Periodic updates started (every ${REGISTRY_UPDATE_INTERVAL / 1000}s)`);
   console.log('');
   console.log('Session is now accessible from iPhone relay!');
@@ -392,18 +465,12 @@ pipeServer.on('error', (err) => {
 
 // Cleanup
 function cleanup() {
-  console.log('[Cleanup] Stopping registry updates...');
-  if (registryUpdateTimer) {
-    clearInterval(registryUpdateTimer);
-    registryUpdateTimer = null;
-  }
   console.log('[Cleanup] Removing session from registry...');
-  try {
-    if (existsSync(registryFile)) {
-      unlinkSync(registryFile);
-    }
-  } catch (err) {}
+  registration.remove();
+  if (scrollbackLog) scrollbackLog.close();
+  if (recorder) recorder.close();
   pipeServer.close();
+  cleanupEndpoint(endpoint);
   for (const client of clients) {
     client.destroy();
   }
@@ -0,0 +1,162 @@
+// Auth sessions - the browser sign-ins behind `relay_session` cookies, kept on disk
+// (~/.claude-relay/auth-sessions.json) so a relay restart doesn't sign every device out.
+//
+// The file stores a SHA-256 of each cookie value, never the value itself, so reading it
+// does not hand out working cookies. Each entry records the account (null for the shared
+// token), a device label, the last address and when it was last seen. Sessions expire
+// after `lifetimeMs` without use; using one slides the expiry forward.
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+import crypto from 'crypto';
+
+export const AUTH_SESSIONS_FILE = join(homedir(), '.claude-relay', 'auth-sessions.json');
+
+const SAVE_DELAY_MS = 5000; // Batch last-seen updates into one write
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Short label from a User-Agent ("iPhone Safari", "Windows Chrome")
+export function describeDevice(userAgent = '') {
+  const platform = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'],
+    ['Mac OS X', 'Mac'], ['Linux', 'Linux']].find(([needle]) => userAgent.includes(needle));
+  const browser = [['Edg/', 'Edge'], ['CriOS', 'Chrome'], ['Chrome/', 'Chrome'], ['FxiOS', 'Firefox'],
+    ['Firefox/', 'Firefox'], ['Safari/', 'Safari']].find(([needle]) => userAgent.includes(needle));
+  return [platform?.[1], browser?.[1]].filter(Boolean).join(' ') || 'Unknown device';
+}
+
+export class AuthSessionStore {
+  constructor({ file = AUTH_SESSIONS_FILE, lifetimeMs }) {
+    this.file = file;
+    this.lifetimeMs = lifetimeMs;
+    this.sessions = new Map(); // token hash -> { id, user, role, secondFactor, identity, tokenFingerprint, passwordFingerprint, label, created, lastSeen, lastIp, expires, cookieIssued }
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    let entries;
+    try {
+      entries = JSON.parse(readFileSync(this.file, 'utf8')).sessions;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[Auth] Could not read ${this.file}: ${err.message}`);
+      }
+      return;
+    }
+    const now = Date.now();
+    for (const [hash, session] of Object.entries(entries || {})) {
+      if (session && session.expires > now) {
+        this.sessions.set(hash, session);
+      }
+    }
+    console.log(`[Auth] Restored ${this.sessions.size} signed-in devices`);
+  }
+
+  // Start a session; returns the cookie value (only its hash is kept)
+  // A paired device's `role` caps (or, without an account, sets) what it may do;
+  // `secondFactor` records a sign-in that also passed an authenticator code (or was checked
+  // by an identity provider, whose `identity` - an email - is kept for the device list);
+  // `tokenFingerprint` ties a shared-token session to the token it was signed in with, and
+  // `passwordFingerprint` an account's session to the account's password
+  create(user, { label, ip, role = null, secondFactor = false, identity = null, tokenFingerprint = null, passwordFingerprint = null } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    this.sessions.set(hashToken(token), {
+      id: crypto.randomBytes(8).toString('hex'), // Stable handle for listing and revoking
+      user,
+      role,
+      secondFactor,
+      identity,
+      tokenFingerprint,
+      passwordFingerprint,
+      label: label || 'Unknown device',
+      created: now,
+      lastSeen: now,
+      lastIp: ip || null,
+      expires: now + this.lifetimeMs,
+      cookieIssued: now
+    });
+    this.saveSoon();
+    return token;
+  }
+
+  // Session for a cookie value, or null if unknown or expired
+  get(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const hash = hashToken(token);
+    const session = this.sessions.get(hash);
+    if (!session) return null;
+    if (session.expires <= Date.now()) {
+      this.sessions.delete(hash);
+      this.saveSoon();
+      return null;
+    }
+    return session;
+  }
+
+  // Record use of a session, sliding its expiry forward
+  touch(session, ip) {
+    const now = Date.now();
+    session.lastSeen = now;
+    session.expires = now + this.lifetimeMs;
+    if (ip) session.lastIp = ip;
+    this.saveSoon();
+  }
+
+  delete(token) {
+    if (typeof token === 'string' && this.sessions.delete(hashToken(token))) {
+      this.saveSoon();
+    }
+  }
+
+  list() {
+    return [...this.sessions.values()];
+  }
+
+  // Drop sessions matching `predicate(session)`; returns how many went
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [hash, session] of this.sessions) {
+      if (predicate(session)) {
+        this.sessions.delete(hash);
+        removed++;
+      }
+    }
+    if (removed > 0) this.saveSoon();
+    return removed;
+  }
+
+  // Remove expired sessions; returns how many went
+  prune() {
+    const now = Date.now();
+    return this.deleteWhere(session => session.expires <= now);
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  saveSoon() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  // Write now (owner-only, replaced atomically); also called on shutdown
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      mkdirSync(dirname(this.file), { recursive: true, mode: 0o700 });
+      const tmp = `${this.file}.tmp`;
+      writeFileSync(tmp, JSON.stringify({ sessions: Object.fromEntries(this.sessions) }, null, 2) + '\n', { mode: 0o600 });
+      renameSync(tmp, this.file);
+    } catch (err) {
+      console.error(`[Auth] Could not save ${this.file}: ${err.message}`);
+    }
+  }
+}
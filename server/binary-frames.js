@@ -0,0 +1,31 @@
+// Binary output frames - compact WebSocket encoding for terminal output
+// Sent instead of JSON { type: 'output', sessionId, seq, data } to clients that
+// negotiated the 'binary' capability; everything else stays JSON text frames.
+//
+// Layout (all integers big-endian):
+//   [0]       frame type (FRAME_OUTPUT)
+//   [1]       session id length in bytes (n)
+//   [2..2+n)  session id, UTF-8
+//   [+4]      sequence number, uint32 (0 = none)
+//   [rest]    output, UTF-8
+// client/web/app.js decodes the same layout.
+
+export const FRAME_OUTPUT = 1;
+
+const MAX_SESSION_ID_BYTES = 255;
+const MAX_SEQ = 0xffffffff;
+
+// Encode an output message, or return null when it can't be represented (caller sends JSON)
+export function encodeOutputFrame({ sessionId, seq, data }) {
+  if (typeof sessionId !== 'string' || typeof data !== 'string') return null;
+  const id = Buffer.from(sessionId, 'utf8');
+  if (id.length > MAX_SESSION_ID_BYTES) return null;
+  if (seq !== undefined && (!Number.isInteger(seq) || seq < 1 || seq > MAX_SEQ)) return null;
+
+  const header = Buffer.alloc(2 + id.length + 4);
+  header[0] = FRAME_OUTPUT;
+  header[1] = id.length;
+  id.copy(header, 2);
+  header.writeUInt32BE(seq ?? 0, 2 + id.length);
+  return Buffer.concat([header, Buffer.from(data, 'utf8')]);
+}
@@ -0,0 +1,72 @@
+// Local stand-in for Cloudflare Access keys, to try the Access sign-in without a tunnel
+//
+//   node cf-access-dev.js keys <dir>                 (writes <dir>/jwks.json and <dir>/signing-key.pem)
+//   node cf-access-dev.js sign <dir> <email> [min]   (prints a token valid for [min] minutes, default 60)
+//
+// Point the relay at the generated keys and send the token as Cloudflare would:
+//
+//   CF_ACCESS_TEAM_DOMAIN=https://dev.cloudflareaccess.com CF_ACCESS_AUD=dev CF_ACCESS_CERTS=<dir>/jwks.json
+//   curl -k -H "Cf-Access-Jwt-Assertion: <token>" https://localhost:3001/
+//
+// Tokens use the same team domain and AUD settings (config.js / .env) as the relay.
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { teamIssuer } from './cloudflare-access.js';
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+const [command, dir, email, minutes = '60'] = process.argv.slice(2);
+if (!dir) {
+  fail('Usage: node cf-access-dev.js keys <dir> | sign <dir> <email> [minutes]');
+}
+
+switch (command) {
+  case 'keys': {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'jwks.json'), JSON.stringify({ keys: [jwk] }, null, 2) + '\n');
+    writeFileSync(join(dir, 'signing-key.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`Wrote ${join(dir, 'jwks.json')} (key ${kid}) and signing-key.pem`);
+    break;
+  }
+
+  case 'sign': {
+    if (!email) {
+      fail('Usage: node cf-access-dev.js sign <dir> <email> [minutes]');
+    }
+    if (!config.CF_ACCESS_TEAM_DOMAIN || !config.CF_ACCESS_AUD) {
+      fail('Set CF_ACCESS_TEAM_DOMAIN and CF_ACCESS_AUD first');
+    }
+    const { keys: [{ kid }] } = JSON.parse(readFileSync(join(dir, 'jwks.json'), 'utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+    const claims = encode({
+      aud: [config.CF_ACCESS_AUD],
+      email,
+      sub: crypto.randomUUID(),
+      iss: teamIssuer(),
+      iat: now,
+      nbf: now,
+      exp: now + Math.round(parseFloat(minutes) * 60),
+      type: 'app'
+    });
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), readFileSync(join(dir, 'signing-key.pem')));
+    console.log(`${header}.${claims}.${signature.toString('base64url')}`);
+    break;
+  }
+
+  default:
+    fail('Usage: node cf-access-dev.js keys <dir> | sign <dir> <email> [minutes]');
+}
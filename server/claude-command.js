@@ -0,0 +1,47 @@
+// Where the Claude Code executable is. node-pty on Windows needs a full path, so a bare
+// `claude` is looked up on PATH (then in the installer's usual places) rather than left to
+// the shell. CLAUDE_PATH in .env overrides the lookup.
+
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { execSync } from 'child_process';
+import config from './config.js';
+
+let resolved = null;
+
+export function resolveClaudeCommand() {
+  if (!resolved) resolved = findClaudeCommand();
+  return resolved;
+}
+
+function findClaudeCommand() {
+  // 1. CLAUDE_PATH, as given
+  if (config.CLAUDE_CMD) {
+    return config.CLAUDE_CMD;
+  }
+
+  // 2. Try to find in PATH using 'where' (Windows) or 'which' (Unix)
+  try {
+    const cmd = process.platform === 'win32' ? 'where claude' : 'which claude';
+    const result = execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim().split(/\r?\n/)[0];
+    if (result && existsSync(result)) {
+      return result;
+    }
+  } catch {}
+
+  // 3. Common Windows locations
+  if (process.platform === 'win32') {
+    const commonPaths = [
+      join(homedir(), '.local', 'bin', 'claude.exe'),
+      join(homedir(), 'AppData', 'Local', 'Programs', 'claude', 'claude.exe'),
+      'C:\\Program Files\\Claude\\claude.exe'
+    ];
+    for (const p of commonPaths) {
+      if (existsSync(p)) return p;
+    }
+  }
+
+  // 4. Fallback - assume it's in PATH
+  return 'claude';
+}
@@ -0,0 +1,53 @@
+// Cloudflare Access - sign-in by the identity Access already checked at the edge
+//
+// With an Access application in front of the tunnel, every request that reaches the relay
+// carries a Cf-Access-Jwt-Assertion header: a JWT signed with the team's keys, naming the
+// user's email. The relay checks its signature against the team's published keys (JWKS),
+// its audience (the application's AUD tag), issuer and expiry, then maps the email to an
+// account (or a default role). No shared token or password is involved.
+//
+// Keys are fetched ahead of time and cached (see jwt.js), so checking a request stays
+// synchronous; an unknown key id triggers a refetch. CF_ACCESS_CERTS may name a local JWKS
+// file instead of a URL, which, with cf-access-dev.js, lets the whole flow run offline.
+
+import config from './config.js';
+import { KeySet, decodeJwt, verifyJwtSignature, checkClaims } from './jwt.js';
+
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+export function accessEnabled() {
+  return !!(config.CF_ACCESS_TEAM_DOMAIN && config.CF_ACCESS_AUD);
+}
+
+// https://<team>.cloudflareaccess.com, also the tokens' issuer
+export function teamIssuer() {
+  const domain = config.CF_ACCESS_TEAM_DOMAIN.replace(/\/+$/, '');
+  return domain.startsWith('https://') ? domain : `https://${domain}`;
+}
+
+let keySet = null;
+
+// Fetch the team's keys now and keep them current
+export function startKeyRefresh() {
+  keySet = new KeySet(config.CF_ACCESS_CERTS || `${teamIssuer()}/cdn-cgi/access/certs`, '[Access]');
+  keySet.startRefresh(REFRESH_INTERVAL_MS);
+}
+
+// Verified claims of an Access token, or null (with the reason logged)
+export function verifyAccessToken(token, { nowMs = Date.now() } = {}) {
+  const { header, error: malformed } = decodeJwt(token);
+  if (malformed) return reject(malformed);
+
+  const { claims, error } = verifyJwtSignature(token, keySet?.get(header.kid));
+  if (error) return reject(error);
+  const invalid = checkClaims(claims, { issuer: teamIssuer(), audience: config.CF_ACCESS_AUD, nowMs });
+  if (invalid) return reject(invalid);
+  if (typeof claims.email !== 'string' || !claims.email) return reject('no email (service tokens are not accepted)');
+
+  return claims;
+}
+
+function reject(reason) {
+  console.warn(`[Access] Rejected token: ${reason}`);
+  return null;
+}
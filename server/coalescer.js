@@ -0,0 +1,44 @@
+// Coalescer - merges bursts of small chunks into fewer, larger ones
+// node-pty emits many small onData chunks while a program redraws, and each became its
+// own JSON message on the pipe and the WebSocket (plus its own replay sequence number);
+// keystrokes and pastes arriving as many `input` messages likewise each became a pipe
+// write. Chunks arriving within a short window are joined and emitted together; a batch
+// that reaches maxBytes goes out at once so big dumps aren't held back.
+
+export class Coalescer {
+  constructor({ windowMs, maxBytes, onFlush }) {
+    this.windowMs = windowMs;
+    this.maxBytes = maxBytes;
+    this.onFlush = onFlush;
+    this.pending = [];
+    this.bytes = 0;
+    this.timer = null;
+  }
+
+  push(data) {
+    if (this.windowMs <= 0) {
+      this.onFlush(data);
+      return;
+    }
+    this.pending.push(data);
+    this.bytes += data.length;
+    if (this.bytes >= this.maxBytes) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.windowMs);
+    }
+  }
+
+  // Emit whatever is batched now (before the PTY exits, or ahead of a message that must
+  // not overtake the batch)
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.pending.length === 0) return;
+
+    const data = this.pending.length === 1 ? this.pending[0] : this.pending.join('');
+    this.pending = [];
+    this.bytes = 0;
+    this.onFlush(data);
+  }
+}
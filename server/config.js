@@ -3,6 +3,48 @@
 export default {
   // Authentication token - clients must send this to connect
   AUTH_TOKEN: process.env.RELAY_AUTH_TOKEN || 'change-this-secret-token',
+  // Role granted by the shared token ('none' disables it, leaving named accounts only)
+  AUTH_TOKEN_ROLE: process.env.RELAY_TOKEN_ROLE || 'admin',
+
+  // Browser sign-ins last this long since last use (~/.claude-relay/auth-sessions.json survives restarts);
+  // the cookie is re-issued at most once per renew interval to extend it
+  AUTH_SESSION_LIFETIME_MS: (parseFloat(process.env.AUTH_SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  AUTH_COOKIE_RENEW_MS: 24 * 60 * 60 * 1000,
+  AUTH_SESSIONS_FILE: process.env.AUTH_SESSIONS_FILE || null,
+
+  // Device pairing: one-time codes for new phones, and the address their QR codes open
+  PAIRING_CODE_TTL_MS: 10 * 60 * 1000,
+  PUBLIC_URL: process.env.RELAY_PUBLIC_URL || 'https://walterfam.xyz/cnm/',
+
+  // Sign-in attempts per client address (token bucket: burst size, refill per second)
+  LOGIN_RATE_LIMIT: { burst: 5, perSecond: 1 / 30 },
+
+  // Cloudflare Access: accept the signed Cf-Access-Jwt-Assertion header in place of a sign-in.
+  // On when the team domain (https://<team>.cloudflareaccess.com) and application AUD tag are
+  // set; keys come from <team>/cdn-cgi/access/certs unless CF_ACCESS_CERTS names another URL or
+  // a JWKS file. Emails map to accounts (manage-accounts.js email); others get the default role.
+  CF_ACCESS_TEAM_DOMAIN: process.env.CF_ACCESS_TEAM_DOMAIN || null,
+  CF_ACCESS_AUD: process.env.CF_ACCESS_AUD || null,
+  CF_ACCESS_CERTS: process.env.CF_ACCESS_CERTS || null,
+  CF_ACCESS_DEFAULT_ROLE: process.env.CF_ACCESS_DEFAULT_ROLE || 'none',
+
+  // OpenID Connect sign-in ("Sign in with ..." on the login page), on when the issuer and
+  // client id are set. Register <PUBLIC_URL>auth/oidc/callback as the redirect URI; the
+  // secret is optional (PKCE is always used). Roles come from the email's account, else the
+  // highest role among the user's groups (OIDC_GROUP_ROLES "cnm-admins=admin,cnm-users=operator"),
+  // else the default role.
+  OIDC_ISSUER: process.env.OIDC_ISSUER || null,
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || null,
+  OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || null,
+  OIDC_PROVIDER_NAME: process.env.OIDC_PROVIDER_NAME || 'single sign-on',
+  OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid email profile groups',
+  OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  OIDC_GROUP_ROLES: Object.fromEntries((process.env.OIDC_GROUP_ROLES || '')
+    .split(',').map(pair => pair.split('=').map(part => part.trim())).filter(([group, role]) => group && role)),
+  OIDC_DEFAULT_ROLE: process.env.OIDC_DEFAULT_ROLE || 'none',
+
+  // Named accounts with roles (default ~/.claude-relay/accounts.json, managed with manage-accounts.js)
+  ACCOUNTS_FILE: process.env.ACCOUNTS_FILE || null,
 
   // Server settings
   PORT: parseInt(process.env.RELAY_PORT) || 3001,
@@ -15,13 +57,73 @@ export default {
   // Session settings
   IDLE_TIMEOUT_MS: 24 * 60 * 60 * 1000, // 24 hours
   SCROLLBACK_LINES: 10000,
+  SCROLLBACK_BYTES: 2 * 1024 * 1024, // 2MB, whichever cap is hit first
+  SCROLLBACK_COMPACT: true, // Collapse spinner/status-line redraws in stored scrollback (live output stays raw)
+
+  // Output batching (PTY chunks within the window become one message)
+  OUTPUT_COALESCE_MS: 8,               // 0 sends every chunk as it arrives
+  OUTPUT_COALESCE_BYTES: 64 * 1024,    // Send at once when a batch grows past this
+
+  // WebSocket permessage-deflate (frames smaller than the threshold go uncompressed)
+  WS_COMPRESSION: process.env.WS_COMPRESSION !== 'false',
+  WS_COMPRESSION_THRESHOLD: 1024,
+
+  // Flow control (hosts pause the PTY while the relay lags; the relay stops reading a host's
+  // pipe while a visible client has this much output sent but not yet rendered)
+  HOST_FLOW_HIGH_BYTES: 256 * 1024, // Unsent bytes queued on a relay socket before pausing
+  HOST_FLOW_LOW_BYTES: 64 * 1024,
+  FLOW_HIGH_WATERMARK: 512 * 1024,  // Output characters a client hasn't acked (or buffered, if it can't ack)
+  FLOW_LOW_WATERMARK: 128 * 1024,
+  FLOW_POLL_MS: 100,                // Re-check interval while paused
+  FLOW_STALL_MS: 10000,             // A client over the high watermark this long stops holding the host back
+
+  // Per-connection message rate limits (token buckets: burst size, refill per second)
+  RATE_LIMITS: {
+    default: { burst: 20, perSecond: 10 },
+    input: { burst: 100, perSecond: 50 },      // Clients batch keystrokes, so this is generous
+    output_ack: { burst: 10, perSecond: 8 },
+    key: { burst: 40, perSecond: 20 },
+    resize: { burst: 20, perSecond: 10 },
+    upload_file: { burst: 5, perSecond: 1 },
+    create_session: { burst: 3, perSecond: 0.2 },
+    start_folder_session: { burst: 3, perSecond: 0.2 }
+  },
+
+  // Input batching on the relay (input messages within the window become one pipe write)
+  INPUT_COALESCE_MS: 5,
+  INPUT_COALESCE_BYTES: 16 * 1024,
+
+  // Host liveness (relay pings each pipe, hosts reply with pong)
+  PIPE_PING_INTERVAL_MS: 15000,
+  PIPE_PING_MAX_MISSED: 3, // Mark host disconnected after this many unanswered pings
+
+  // Output replay (recent sequence-numbered chunks kept for gap-free resume)
+  REPLAY_BUFFER_BYTES: 1024 * 1024, // 1MB
+
+  // Screen snapshots (headless terminal on each host, sent to clients on attach)
+  SNAPSHOT_SCROLLBACK_LINES: 1000, // Scrollback lines kept behind the visible screen
+
+  // On-disk scrollback log (~/.claude-relay/logs/<session>/, paged by the focus view)
+  SCROLLBACK_LOG_ENABLED: process.env.SCROLLBACK_LOG !== 'false',
+  SCROLLBACK_LOG_FILE_BYTES: 1024 * 1024, // Rotate after 1MB
+  SCROLLBACK_LOG_MAX_FILES: 20,           // Oldest segment is deleted beyond this
+  HISTORY_PAGE_BYTES: 64 * 1024,          // Largest page sent per load_history request
+
+  // asciicast v2 recordings (~/.claude-relay/recordings/, downloadable from the dashboard)
+  RECORD_SESSIONS: process.env.RECORD_SESSIONS === 'true',
+  // Keystrokes too - off by default, as they include passwords typed at prompts
+  RECORD_INPUT: process.env.RECORD_INPUT === 'true',
+
+  // Background sessions (subscribed but not on screen get summaries instead of output)
+  SUMMARY_INTERVAL_MS: 500, // At most this often per session
+  SUMMARY_PREVIEW_LINES: 5,
 
   // PTY settings
   PTY_COLS: 120,
   PTY_ROWS: 30,
 
-  // Claude Code command (full path required for node-pty on Windows)
-  CLAUDE_CMD: process.env.CLAUDE_PATH || 'C:\\Users\\mtoli\\.local\\bin\\claude.exe',
+  // Claude Code executable; unset, `claude` is found on PATH (see claude-command.js)
+  CLAUDE_CMD: process.env.CLAUDE_PATH || null,
   CLAUDE_ARGS: [],
 
   // Working directory for Claude Code (null = user home)
@@ -1,16 +1,33 @@
 import 'dotenv/config';
 import { createServer } from 'https';
-import { readFileSync, existsSync, readdirSync, unlinkSync, writeFileSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync, readdirSync, unlinkSync, writeFileSync, mkdirSync, statSync, createReadStream } from 'fs';
 import { WebSocketServer } from 'ws';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { homedir } from 'os';
-import net from 'net';
 import { spawn, execSync } from 'child_process';
 import config from './config.js';
+import { endpointFromRegistry } from './transport.js';
+import { REGISTRY_DIR as registryDir } from './registry.js';
+import { readScrollbackLog } from './scrollback-log.js';
+import { listRecordings, recordingPath } from './recorder.js';
+import { getSessionHub, closeAllHubs } from './session-hub.js';
+import { encodeOutputFrame } from './binary-frames.js';
+import { MessageRateLimiter, TokenBucket } from './rate-limiter.js';
+import { Coalescer } from './coalescer.js';
+import { parseChord, encodeKey } from './keys.js';
+import { createHello, negotiate, hasCapability, LEGACY_PEER, RELAY_CAPABILITIES } from './protocol.js';
+import {
+  ERROR_CODES, RelayError, LEGACY_RESULT_TYPES, MESSAGE_ROLES, decodeClientMessage, validateClientMessage, toRelayError
+} from './messages.js';
+import { authenticate, getAccount, getAccountByEmail, passwordFingerprint, hasAccounts, isRole, roleAllows, getTotp, setTotp, verifySecondFactor, ACCOUNTS_FILE } from './accounts.js';
+import { generateSecret, verifyTotp, otpauthUrl, generateRecoveryCodes, hashRecoveryCode } from './totp.js';
+import { AuthSessionStore, describeDevice } from './auth-sessions.js';
+import { createPairingCode, redeemPairingCode, qrCode } from './pairing.js';
+import { accessEnabled, teamIssuer, startKeyRefresh, verifyAccessToken } from './cloudflare-access.js';
+import { oidcEnabled, redirectUri, warmUp as warmUpOidc, startOidcLogin, finishOidcLogin, oidcIdentity } from './oidc.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const registryDir = join(homedir(), '.claude-relay', 'sessions');
 
 // Resolve certificate paths
 const keyPath = join(__dirname, config.SSL_KEY);
@@ -35,16 +52,27 @@ const httpsOptions = {
 // Health check constants
 const SESSION_TIMEOUT_MS = 30000; // Consider session dead if no update in 30 seconds
 
-// Auth session cleanup constants (prevents memory leak from growing activeSessions Map)
+// Expired auth sessions are pruned this often
 const AUTH_SESSION_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
-const AUTH_SESSION_MAX_IDLE = 24 * 60 * 60 * 1000; // 24 hours
-
-// Pipe buffer protection (prevents DoS from unbounded buffer growth)
-const MAX_PIPE_BUFFER_SIZE = 1024 * 1024; // 1MB
 
 // Track spawned launcher processes for cleanup on shutdown
 const spawnedLaunchers = new Set();
 
+// Replies to completed requests, so a client resending after a dropped connection doesn't repeat them
+const REQUEST_REPLAY_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_REPLAY_ENTRIES = 500;
+const completedRequests = new Map(); // `${auth session id}:${requestId}` -> { reply, at }
+
+// Remember a successful reply, pruning expired entries
+function rememberReply(key, reply) {
+  const now = Date.now();
+  for (const [k, entry] of completedRequests) {
+    if (now - entry.at <= REQUEST_REPLAY_TTL && completedRequests.size < MAX_REPLAY_ENTRIES) break;
+    completedRequests.delete(k); // Map iterates oldest first
+  }
+  completedRequests.set(key, { reply, at: now });
+}
+
 // List available sessions from registry (with health filtering)
 function listSessions(includePreview = true) {
   try {
@@ -78,6 +106,7 @@ function listSessions(includePreview = true) {
           started: data.started,
           lastSeen: data.lastSeen,
           pipe: data.pipe,
+          endpoint: endpointFromRegistry(data),
           preview: includePreview ? (data.preview || '') : undefined,
           clientCount: data.clientCount || 0,
           status: data.status || 'unknown'
@@ -127,47 +156,26 @@ function sanitizeFilename(filename) {
   return name;
 }
 
-// Handle file upload from client
-function handleFileUpload(ws, msg, activeSessionId) {
+// Handle file upload from client (returns ack result, throws RelayError)
+function handleFileUpload(msg, activeSessionId) {
   const { sessionId, filename, data } = msg;
   const targetSessionId = sessionId || activeSessionId;
 
   // Check if uploads are enabled
   if (!config.UPLOAD_ENABLED) {
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename,
-      error: 'File uploads are disabled'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.UPLOADS_DISABLED, 'File uploads are disabled', { sessionId: targetSessionId, filename });
   }
 
   // Validate session exists and get cwd
-  const session = getSession(targetSessionId);
+  const session = targetSessionId ? getSession(targetSessionId) : null;
   if (!session) {
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename,
-      error: 'Session not found'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.SESSION_NOT_FOUND, 'Session not found', { sessionId: targetSessionId, filename });
   }
 
   // Sanitize filename
   const safeName = sanitizeFilename(filename);
   if (!safeName) {
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename,
-      error: 'Invalid filename'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.INVALID_NAME, 'Invalid filename', { sessionId: targetSessionId, filename });
   }
 
   // Decode base64 and validate size
@@ -175,26 +183,12 @@ function handleFileUpload(ws, msg, activeSessionId) {
   try {
     buffer = Buffer.from(data, 'base64');
   } catch (err) {
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename: safeName,
-      error: 'Invalid file data'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.INVALID_FIELD, 'Invalid file data', { sessionId: targetSessionId, filename: safeName, field: 'data' });
   }
 
   if (buffer.length > config.MAX_UPLOAD_SIZE) {
     const maxMB = Math.round(config.MAX_UPLOAD_SIZE / 1024 / 1024);
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename: safeName,
-      error: `File exceeds maximum size of ${maxMB}MB`
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.FILE_TOO_LARGE, `File exceeds maximum size of ${maxMB}MB`, { sessionId: targetSessionId, filename: safeName });
   }
 
   // Construct destination path
@@ -203,39 +197,76 @@ function handleFileUpload(ws, msg, activeSessionId) {
   // Security: verify destination is within session cwd
   const resolvedDest = join(session.cwd, safeName);
   if (!resolvedDest.startsWith(session.cwd)) {
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename: safeName,
-      error: 'Invalid destination path'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.INVALID_NAME, 'Invalid destination path', { sessionId: targetSessionId, filename: safeName });
   }
 
   // Write file
   try {
     writeFileSync(destPath, buffer);
-    console.log(`[Upload] Saved ${safeName} (${buffer.length} bytes) to ${session.cwd}`);
-
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: true,
-      filename: safeName,
-      path: destPath,
-      size: buffer.length
-    }));
   } catch (err) {
     console.error(`[Upload] Failed to save ${safeName}:`, err.message);
-    ws.send(JSON.stringify({
-      type: 'upload_result',
-      sessionId: targetSessionId,
-      success: false,
-      filename: safeName,
-      error: 'Failed to save file: ' + err.message
-    }));
+    throw new RelayError(ERROR_CODES.IO_ERROR, 'Failed to save file: ' + err.message, { sessionId: targetSessionId, filename: safeName });
+  }
+  console.log(`[Upload] Saved ${safeName} (${buffer.length} bytes) to ${session.cwd}`);
+
+  return {
+    sessionId: targetSessionId,
+    filename: safeName,
+    path: destPath,
+    size: buffer.length
+  };
+}
+
+// Read a page of a session's on-disk output log (returns ack result, throws RelayError)
+// Works for sessions whose host has exited too - the log outlives it
+function handleLoadHistory(msg) {
+  const { sessionId, before } = msg;
+  const limit = Math.min(Math.max(msg.limit ?? config.HISTORY_PAGE_BYTES, 1), config.HISTORY_PAGE_BYTES);
+
+  let page;
+  try {
+    page = readScrollbackLog(sessionId, { before, limit });
+  } catch (err) {
+    throw new RelayError(ERROR_CODES.IO_ERROR, 'Failed to read history: ' + err.message, { sessionId });
+  }
+  if (!page) {
+    throw new RelayError(ERROR_CODES.SESSION_NOT_FOUND, `No history for session "${sessionId}"`, { sessionId });
+  }
+  return { sessionId, ...page };
+}
+
+// Serve a session recording (asciicast v2) for playback, or as a download with ?download
+function serveRecording(name, download, res) {
+  const filePath = recordingPath(name);
+  let size;
+  try {
+    size = filePath ? statSync(filePath).size : null;
+  } catch (err) {
+    size = null;
+  }
+  if (size === null) {
+    res.writeHead(404);
+    res.end('Not Found');
+    return;
+  }
+
+  const headers = { 'Content-Type': 'application/x-asciicast', 'Content-Length': size, 'Cache-Control': 'no-store' };
+  if (download) {
+    headers['Content-Disposition'] = `attachment; filename="${name}"`;
   }
+  res.writeHead(200, headers);
+  if (size === 0) {
+    res.end();
+    return;
+  }
+  // Streamed: long recordings run to many megabytes. A host still recording may append
+  // meanwhile; only the first `size` bytes are sent, matching Content-Length.
+  const stream = createReadStream(filePath, { end: size - 1 });
+  stream.on('error', (err) => {
+    console.error(`[Record] Could not read ${name}: ${err.message}`);
+    res.destroy();
+  });
+  stream.pipe(res);
 }
 
 // Base directory for new projects
@@ -342,57 +373,15 @@ function listProjects() {
   }
 }
 
-// Handle start folder session request
-function handleStartFolderSession(ws, msg) {
-  const { folderName, skipPermissions } = msg;
-
-  // Validate folder name
-  const safeName = sanitizeProjectName(folderName);
-  if (!safeName) {
-    ws.send(JSON.stringify({
-      type: 'start_folder_session_result',
-      success: false,
-      folderName,
-      error: 'Invalid folder name'
-    }));
-    return;
-  }
-
-  // Check if folder exists
-  const folderPath = join(PROJECTS_BASE_DIR, safeName);
-  if (!existsSync(folderPath)) {
-    ws.send(JSON.stringify({
-      type: 'start_folder_session_result',
-      success: false,
-      folderName: safeName,
-      error: 'Folder does not exist'
-    }));
-    return;
-  }
-
-  // Check if session already exists
-  const existingSessions = listSessions();
-  const existing = existingSessions.find(s => s.id === safeName);
-  if (existing) {
-    ws.send(JSON.stringify({
-      type: 'start_folder_session_result',
-      success: true,
-      folderName: safeName,
-      path: folderPath,
-      alreadyRunning: true
-    }));
-    return;
-  }
-
-  // Spawn launcher.js with the session name, directory, and optional skip-permissions
+// Spawn launcher.js detached so the session survives relay restarts
+function spawnLauncher(safeName, dir, skipPermissions) {
   const launcherPath = join(__dirname, 'launcher.js');
-  const launcherArgs = [launcherPath, safeName, folderPath];
+  const launcherArgs = [launcherPath, safeName, dir];
   if (skipPermissions) {
     launcherArgs.push('--skip-permissions');
   }
 
   try {
-    // Spawn detached so it survives if relay restarts
     // Use windowsHide to prevent console window from appearing
     const child = spawn('node', launcherArgs, {
       detached: true,
@@ -411,23 +400,51 @@ function handleStartFolderSession(ws, msg) {
     } else {
       console.log(`[Session] Spawned launcher for ${safeName}${skipPermissions ? ' [skip-permissions]' : ''}`);
     }
+  } catch (err) {
+    console.error(`[Session] Failed to spawn launcher: ${err.message}`);
+    throw new RelayError(ERROR_CODES.SPAWN_FAILED, 'Failed to start Claude session: ' + err.message);
+  }
+}
+
+// Handle start folder session request (returns ack result, throws RelayError)
+function handleStartFolderSession(msg) {
+  const { folderName, skipPermissions } = msg;
 
-    ws.send(JSON.stringify({
-      type: 'start_folder_session_result',
-      success: true,
+  // Validate folder name
+  const safeName = sanitizeProjectName(folderName);
+  if (!safeName) {
+    throw new RelayError(ERROR_CODES.INVALID_NAME, 'Invalid folder name', { folderName });
+  }
+
+  // Check if folder exists
+  const folderPath = join(PROJECTS_BASE_DIR, safeName);
+  if (!existsSync(folderPath)) {
+    throw new RelayError(ERROR_CODES.FOLDER_NOT_FOUND, 'Folder does not exist', { folderName: safeName });
+  }
+
+  // Check if session already exists
+  const existingSessions = listSessions();
+  const existing = existingSessions.find(s => s.id === safeName);
+  if (existing) {
+    return {
       folderName: safeName,
       path: folderPath,
-      skipPermissions: !!skipPermissions
-    }));
+      alreadyRunning: true
+    };
+  }
+
+  try {
+    spawnLauncher(safeName, folderPath, skipPermissions);
   } catch (err) {
-    console.error(`[Session] Failed to spawn launcher: ${err.message}`);
-    ws.send(JSON.stringify({
-      type: 'start_folder_session_result',
-      success: false,
-      folderName: safeName,
-      error: 'Failed to start Claude session: ' + err.message
-    }));
+    err.details = { folderName: safeName };
+    throw err;
   }
+
+  return {
+    folderName: safeName,
+    path: folderPath,
+    skipPermissions: !!skipPermissions
+  };
 }
 
 // Sanitize project name to prevent path traversal and invalid characters
@@ -447,20 +464,14 @@ function sanitizeProjectName(name) {
   return sanitized;
 }
 
-// Handle create session request
-function handleCreateSession(ws, msg) {
+// Handle create session request (returns ack result, throws RelayError)
+function handleCreateSession(msg) {
   const { projectName } = msg;
 
   // Validate project name
   const safeName = sanitizeProjectName(projectName);
   if (!safeName) {
-    ws.send(JSON.stringify({
-      type: 'create_session_result',
-      success: false,
-      projectName,
-      error: 'Invalid project name (use only letters, numbers, hyphens, underscores)'
-    }));
-    return;
+    throw new RelayError(ERROR_CODES.INVALID_NAME, 'Invalid project name (use only letters, numbers, hyphens, underscores)', { projectName });
   }
 
   // Create project directory path
@@ -477,75 +488,55 @@ function handleCreateSession(ws, msg) {
       console.log(`[Session] Created directory: ${projectDir}`);
     } catch (err) {
       console.error(`[Session] Failed to create directory: ${err.message}`);
-      ws.send(JSON.stringify({
-        type: 'create_session_result',
-        success: false,
-        projectName: safeName,
-        error: 'Failed to create project directory: ' + err.message
-      }));
-      return;
+      throw new RelayError(ERROR_CODES.IO_ERROR, 'Failed to create project directory: ' + err.message, { projectName: safeName });
     }
   }
 
-  // Spawn launcher.js with the session name and directory
-  const launcherPath = join(__dirname, 'launcher.js');
-
   try {
-    // Spawn detached so it survives if relay restarts
-    // Use windowsHide to prevent console window from appearing
-    const child = spawn('node', [launcherPath, safeName, projectDir], {
-      detached: true,
-      stdio: 'ignore',
-      cwd: __dirname,
-      windowsHide: true
-    });
-
-    // Unref so parent doesn't wait for child
-    child.unref();
-
-    // Track the PID for cleanup on shutdown
-    if (child.pid) {
-      spawnedLaunchers.add(child.pid);
-      console.log(`[Session] Spawned launcher for ${safeName} (PID: ${child.pid}, tracking ${spawnedLaunchers.size} launchers)`);
-    } else {
-      console.log(`[Session] Spawned launcher for ${safeName}`);
-    }
-
-    ws.send(JSON.stringify({
-      type: 'create_session_result',
-      success: true,
-      projectName: safeName,
-      path: projectDir
-    }));
+    spawnLauncher(safeName, projectDir, false);
   } catch (err) {
-    console.error(`[Session] Failed to spawn launcher: ${err.message}`);
-    ws.send(JSON.stringify({
-      type: 'create_session_result',
-      success: false,
-      projectName: safeName,
-      error: 'Failed to start Claude session: ' + err.message
-    }));
+    err.details = { projectName: safeName };
+    throw err;
   }
+
+  return {
+    projectName: safeName,
+    path: projectDir
+  };
 }
 
-// Generate a session ID for cookie-based auth
+// Cookie-based auth sessions (persisted, so restarts keep devices signed in)
 import crypto from 'crypto';
 const SESSION_COOKIE_NAME = 'relay_session';
-const SESSION_MAX_AGE = 24 * 60 * 60; // 24 hours in seconds
-const activeSessions = new Map(); // sessionToken -> { created, lastSeen }
+const SESSION_MAX_AGE = Math.floor(config.AUTH_SESSION_LIFETIME_MS / 1000); // seconds
+const MAX_LOGIN_BODY = 4096;
+const TOTP_COOKIE_NAME = 'relay_totp'; // Password accepted, authenticator code still due
+const TOTP_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+const TOTP_MAX_ATTEMPTS = 5;
+const authSessions = new AuthSessionStore({
+  file: config.AUTH_SESSIONS_FILE || undefined,
+  lifetimeMs: config.AUTH_SESSION_LIFETIME_MS
+});
 
-// Periodic cleanup of expired auth sessions (prevents memory leak)
+// Periodic cleanup of expired auth sessions
 setInterval(() => {
+  const cleaned = authSessions.prune();
+  if (cleaned > 0) {
+    console.log(`[Auth] Cleaned ${cleaned} expired sessions, ${authSessions.size} active`);
+  }
   const now = Date.now();
-  let cleaned = 0;
-  for (const [token, session] of activeSessions.entries()) {
-    if (now - session.lastSeen > AUTH_SESSION_MAX_IDLE) {
-      activeSessions.delete(token);
-      cleaned++;
-    }
+  for (const [hash, pending] of pendingLogins) {
+    if (pending.expires <= now) pendingLogins.delete(hash);
   }
-  if (cleaned > 0) {
-    console.log(`[Auth] Cleaned ${cleaned} expired sessions, ${activeSessions.size} active`);
+  for (const [id, enrollment] of totpEnrollments) {
+    if (enrollment.expires <= now) totpEnrollments.delete(id);
+  }
+  // Login throttles that have refilled carry no state worth keeping
+  for (const [address, bucket] of loginLimiters) {
+    bucket.refill();
+    if (bucket.tokens >= bucket.burst) {
+      loginLimiters.delete(address);
+    }
   }
 }, AUTH_SESSION_CLEANUP_INTERVAL);
 
@@ -560,31 +551,562 @@ function parseCookies(req) {
   return cookies;
 }
 
-// Validate token (from URL or cookie)
-function validateAuth(req) {
-  const url = new URL(req.url, `https://${req.headers.host}`);
-  const urlToken = url.searchParams.get('token');
-  const cookies = parseCookies(req);
-  const sessionToken = cookies[SESSION_COOKIE_NAME];
+// Kept on shared-token sessions (an HMAC, so the sessions file doesn't reveal the token):
+// once RELAY_AUTH_TOKEN is changed, cookies handed out for the old one stop working
+const TOKEN_FINGERPRINT = crypto.createHmac('sha256', config.AUTH_TOKEN).update('relay_session').digest('hex');
+
+function tokenRole() {
+  return isRole(config.AUTH_TOKEN_ROLE) ? config.AUTH_TOKEN_ROLE : null;
+}
+
+// Current role for an auth session: its account's role while its password is unchanged
+// (capped by a paired device's role), a paired device's own role, or the shared token's
+// while it is unchanged (null once none of those applies)
+function sessionRole(session) {
+  if (session.user) {
+    if (session.passwordFingerprint !== passwordFingerprint(session.user)) return null;
+    const role = getAccount(session.user)?.role || null;
+    return role && session.role && !roleAllows(session.role, role) ? session.role : role;
+  }
+  if (session.role) {
+    return isRole(session.role) ? session.role : null;
+  }
+  return session.tokenFingerprint === TOKEN_FINGERPRINT ? tokenRole() : null;
+}
+
+// Role a session may act with right now: none if its login has since required a second
+// factor it never passed (paired devices were vouched for by whoever made the code)
+function activeRole(session) {
+  if (!session.secondFactor && !session.role && getTotp(session.user ?? null)) {
+    return null;
+  }
+  return sessionRole(session);
+}
+
+function createAuthSession(user, req, { label, role, secondFactor, identity } = {}) {
+  return authSessions.create(user, {
+    label: label || describeDevice(req.headers['user-agent']),
+    ip: clientAddress(req),
+    role,
+    secondFactor,
+    identity,
+    tokenFingerprint: !user && !role ? TOKEN_FINGERPRINT : null,
+    passwordFingerprint: user ? passwordFingerprint(user) : null
+  });
+}
+
+function sessionCookie(sessionToken, maxAge = SESSION_MAX_AGE) {
+  return `${SESSION_COOKIE_NAME}=${sessionToken}; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}; Path=/`;
+}
 
-  // Check session cookie first
-  if (sessionToken && activeSessions.has(sessionToken)) {
-    const session = activeSessions.get(sessionToken);
-    session.lastSeen = Date.now();
-    return { valid: true, isNewSession: false, sessionToken };
+// Stand-in session for a Cloudflare Access identity: the email's account, else the default
+// role (null if neither). Not stored - every request brings its own token. Access applies
+// its own login policy, so the relay's second factor is not asked for on top.
+function accessSession(claims) {
+  const account = getAccountByEmail(claims.email);
+  const defaultRole = isRole(config.CF_ACCESS_DEFAULT_ROLE) ? config.CF_ACCESS_DEFAULT_ROLE : null;
+  if (!account && !defaultRole) {
+    return null;
   }
+  return {
+    id: `access:${claims.email.toLowerCase()}`,
+    user: account ? account.name : null,
+    role: account ? null : defaultRole,
+    passwordFingerprint: account ? passwordFingerprint(account.name) : null,
+    secondFactor: true,
+    identity: claims.email,
+    label: 'Cloudflare Access'
+  };
+}
 
-  // Check URL token
-  if (urlToken === config.AUTH_TOKEN) {
-    // Create new session
-    const newSessionToken = crypto.randomBytes(32).toString('hex');
-    activeSessions.set(newSessionToken, { created: Date.now(), lastSeen: Date.now() });
-    return { valid: true, isNewSession: true, sessionToken: newSessionToken };
+// Validate the session cookie (secrets are only accepted by POST /auth/login, and the
+// cookie is only issued once every factor the login requires has been checked), or with
+// Cloudflare Access set up, the identity in its signed header
+function validateAuth(req) {
+  const sessionToken = parseCookies(req)[SESSION_COOKIE_NAME];
+  const session = authSessions.get(sessionToken);
+  if (session) {
+    const role = activeRole(session);
+    if (role) {
+      authSessions.touch(session, clientAddress(req));
+      return { valid: true, sessionToken, session, user: session.user, role };
+    }
+    authSessions.delete(sessionToken);
   }
 
+  const assertion = req.headers['cf-access-jwt-assertion'];
+  if (assertion && accessEnabled()) {
+    const claims = verifyAccessToken(assertion);
+    const accessIdentity = claims && accessSession(claims);
+    const role = accessIdentity && activeRole(accessIdentity);
+    if (role) {
+      return { valid: true, session: accessIdentity, user: accessIdentity.user, role, accessClaims: claims };
+    }
+    if (claims) {
+      console.warn(`[Access] ${claims.email} has no account here (and CF_ACCESS_DEFAULT_ROLE is ${config.CF_ACCESS_DEFAULT_ROLE})`);
+    }
+  }
   return { valid: false };
 }
 
+// Role for an open connection, re-checked per message so account changes, revoked devices
+// and expired Access tokens apply at once (null: no longer signed in)
+function connectionRole(auth) {
+  if (auth.accessClaims) {
+    const session = auth.accessClaims.exp * 1000 > Date.now() ? accessSession(auth.accessClaims) : null;
+    return session ? activeRole(session) : null;
+  }
+  return authSessions.get(auth.sessionToken) ? activeRole(auth.session) : null;
+}
+
+// Who a connection is, for logs
+function authName(auth) {
+  return auth.user || auth.session?.identity || 'shared token';
+}
+
+// Re-issued cookie for a page load, once per renew interval, so its Max-Age follows the
+// session's sliding expiry (null when the current cookie is recent enough)
+function renewedCookie(auth) {
+  if (!auth.sessionToken || Date.now() - (auth.session.cookieIssued || 0) < config.AUTH_COOKIE_RENEW_MS) {
+    return null;
+  }
+  auth.session.cookieIssued = Date.now();
+  return sessionCookie(auth.sessionToken);
+}
+
+// Compare against the shared token without leaking how much of it matched
+function matchesAuthToken(secret) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return typeof secret === 'string' && crypto.timingSafeEqual(digest(secret), digest(config.AUTH_TOKEN));
+}
+
+// Client address for login throttling (the Cloudflare tunnel connects from loopback)
+function clientAddress(req) {
+  const remote = req.socket.remoteAddress || '';
+  const viaTunnel = remote === '127.0.0.1' || remote === '::1' || remote === '::ffff:127.0.0.1';
+  return (viaTunnel && req.headers['cf-connecting-ip']) || remote;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Read a small request body, refusing anything past `maxBytes`
+function readBody(req, maxBytes, callback) {
+  let body = '';
+  let done = false;
+  req.on('data', chunk => {
+    if (done) return;
+    body += chunk.toString();
+    if (body.length > maxBytes) {
+      done = true;
+      callback(new Error('Request body too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => {
+    if (!done) callback(null, body);
+  });
+}
+
+// Read a small JSON body, answering 400 itself if it isn't one. The JSON content type is
+// required: a page on another site can't send it without a CORS preflight, which fails, so
+// these endpoints can't be driven from a cross-site form.
+function readJson(req, res, callback) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    req.resume();
+    sendJson(res, 415, { error: 'Expected application/json' });
+    return;
+  }
+  readBody(req, MAX_LOGIN_BODY, (err, body) => {
+    let parsed;
+    try {
+      if (err) throw err;
+      parsed = JSON.parse(body);
+    } catch {
+      sendJson(res, 400, { error: 'Invalid request' });
+      return;
+    }
+    callback(parsed && typeof parsed === 'object' ? parsed : {});
+  });
+}
+
+// Failed and successful attempts alike, per client address
+const loginLimiters = new Map(); // address -> TokenBucket
+
+// Charge one sign-in attempt; answers 429 itself and returns null when over the limit
+function takeLoginAttempt(req, res) {
+  const address = clientAddress(req);
+  let bucket = loginLimiters.get(address);
+  if (!bucket) {
+    bucket = new TokenBucket(config.LOGIN_RATE_LIMIT);
+    loginLimiters.set(address, bucket);
+  }
+  const retryAfterMs = bucket.take();
+  if (retryAfterMs > 0) {
+    console.warn(`[Auth] Login rate limit exceeded for ${address}`);
+    sendJson(res, 429, { error: 'Too many attempts, try again later', retryAfterMs }, { 'Retry-After': Math.ceil(retryAfterMs / 1000) });
+    return null;
+  }
+  return address;
+}
+
+// POST /auth/login { username?, password } - an account password, or the shared token
+// without a username; answers with the session cookie
+function handleLogin(req, res) {
+  const address = takeLoginAttempt(req, res);
+  if (!address) return;
+
+  readJson(req, res, (form) => {
+    let user = null;
+    let role = null;
+    if (form.username) {
+      const account = authenticate(form.username, form.password);
+      if (account) {
+        user = account.name;
+        role = account.role;
+      }
+    } else if (matchesAuthToken(form.password)) {
+      role = tokenRole();
+    }
+
+    if (!role) {
+      console.warn(`[Auth] Failed login from ${address}${form.username ? ` as "${form.username}"` : ''}`);
+      sendJson(res, 401, { error: 'Invalid credentials' });
+      return;
+    }
+    if (getTotp(user)) {
+      // Only a short-lived marker until the authenticator code is in; no session cookie yet
+      const pendingToken = crypto.randomBytes(32).toString('hex');
+      // The password's fingerprint too, so a password changed meanwhile doesn't finish the sign-in
+      pendingLogins.set(hashSecret(pendingToken), {
+        user,
+        passwordFingerprint: user ? passwordFingerprint(user) : null,
+        expires: Date.now() + TOTP_LOGIN_TIMEOUT_MS,
+        attempts: 0
+      });
+      console.log(`[Auth] ${user || 'Shared token'} password accepted from ${address}, awaiting code`);
+      sendJson(res, 200, { totpRequired: true }, { 'Set-Cookie': totpCookie(pendingToken, TOTP_LOGIN_TIMEOUT_MS / 1000) });
+      return;
+    }
+    console.log(`[Auth] ${user || 'Shared token'} signed in (${role}) from ${address}`);
+    sendJson(res, 200, { user, role }, { 'Set-Cookie': sessionCookie(createAuthSession(user, req)) });
+  });
+}
+
+// Sign-ins waiting for their second factor
+const pendingLogins = new Map(); // sha256(relay_totp cookie) -> { user, passwordFingerprint, expires, attempts }
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function totpCookie(value, maxAge) {
+  return `${TOTP_COOKIE_NAME}=${value}; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}; Path=/`;
+}
+
+// POST /auth/totp { code } - finish a sign-in with an authenticator or recovery code
+function handleTotpLogin(req, res) {
+  const address = takeLoginAttempt(req, res);
+  if (!address) return;
+
+  readJson(req, res, (form) => {
+    const pendingHash = hashSecret(parseCookies(req)[TOTP_COOKIE_NAME] || '');
+    const pending = pendingLogins.get(pendingHash);
+    if (!pending || pending.expires <= Date.now()) {
+      pendingLogins.delete(pendingHash);
+      sendJson(res, 401, { error: 'Sign-in timed out, enter your password again', restart: true });
+      return;
+    }
+
+    const method = verifySecondFactor(pending.user, form.code);
+    let role = null;
+    if (method) {
+      role = pending.user ? sessionRole({ user: pending.user, passwordFingerprint: pending.passwordFingerprint }) : tokenRole();
+    }
+    if (!role) {
+      pending.attempts++;
+      const restart = pending.attempts >= TOTP_MAX_ATTEMPTS;
+      if (restart) pendingLogins.delete(pendingHash);
+      console.warn(`[Auth] Wrong code for ${pending.user || 'shared token'} from ${address}`);
+      sendJson(res, 401, { error: restart ? 'Too many wrong codes, enter your password again' : 'Invalid code', restart });
+      return;
+    }
+
+    pendingLogins.delete(pendingHash);
+    if (method === 'recovery') {
+      const left = getTotp(pending.user)?.recovery?.length ?? 0;
+      console.warn(`[Auth] ${pending.user || 'Shared token'} used a recovery code (${left} left)`);
+    }
+    console.log(`[Auth] ${pending.user || 'Shared token'} signed in (${role}) with two factors from ${address}`);
+    sendJson(res, 200, { user: pending.user, role }, {
+      'Set-Cookie': [sessionCookie(createAuthSession(pending.user, req, { secondFactor: true })), totpCookie('', 0)]
+    });
+  });
+}
+
+// POST /auth/pair { code } - redeem a one-time pairing code for this device's own session
+function handlePair(req, res) {
+  const address = takeLoginAttempt(req, res);
+  if (!address) return;
+
+  readJson(req, res, (form) => {
+    const entry = redeemPairingCode(form.code);
+    if (!entry) {
+      console.warn(`[Auth] Invalid pairing code from ${address}`);
+      sendJson(res, 401, { error: 'Invalid or expired pairing code' });
+      return;
+    }
+    const sessionToken = createAuthSession(entry.user, req, { label: entry.label, role: entry.role });
+    const role = sessionRole(authSessions.get(sessionToken));
+    console.log(`[Auth] Paired ${entry.label || describeDevice(req.headers['user-agent'])} (${role}) from ${address}`);
+    sendJson(res, 200, { user: entry.user, role }, { 'Set-Cookie': sessionCookie(sessionToken) });
+  });
+}
+
+// Admin API (admin page): signed-in devices and pairing codes
+function handleAdminApi(pathname, req, res, auth) {
+  if (pathname === '/api/devices' && req.method === 'GET') {
+    const devices = authSessions.list()
+      .map(session => ({
+        id: session.id,
+        label: session.label,
+        user: session.user || session.identity,
+        role: activeRole(session),
+        paired: !!session.role,
+        secondFactor: !!session.secondFactor,
+        created: session.created,
+        lastSeen: session.lastSeen,
+        lastIp: session.lastIp,
+        expires: session.expires,
+        current: session === auth.session
+      }))
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+    sendJson(res, 200, { devices });
+    return;
+  }
+
+  if (pathname === '/api/devices/revoke' && req.method === 'POST') {
+    readJson(req, res, ({ id }) => {
+      const revoked = typeof id === 'string' && authSessions.deleteWhere(session => session.id === id) > 0;
+      if (!revoked) {
+        sendJson(res, 404, { error: 'No such device' });
+        return;
+      }
+      // Its open connections go too (the client returns to the sign-in page)
+      for (const client of wss.clients) {
+        if (client.authSessionId === id) {
+          client.close(4001, 'Revoked');
+        }
+      }
+      console.log(`[Auth] ${auth.user || 'Shared token'} revoked device ${id}`);
+      sendJson(res, 200, { revoked: id });
+    });
+    return;
+  }
+
+  if (pathname === '/api/pairing' && req.method === 'POST') {
+    readJson(req, res, ({ role, label }) => {
+      if (!isRole(role)) {
+        sendJson(res, 400, { error: 'Unknown role' });
+        return;
+      }
+      const pairing = createPairingCode({
+        role,
+        user: auth.user, // Removing the account then also signs out the devices it paired
+        label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 64) : null,
+        createdBy: auth.user || 'shared token'
+      });
+      // Without a QR code the code can still be typed in
+      qrCode(pairing.url)
+        .catch(err => {
+          console.error(`[Pairing] Could not draw QR code: ${err.message}`);
+          return null;
+        })
+        .then(qr => sendJson(res, 200, { ...pairing, role, qr }));
+    });
+    return;
+  }
+
+  if (pathname.startsWith('/api/totp')) {
+    handleTotpApi(pathname, req, res, auth);
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Authenticator secrets shown on the admin page but not yet confirmed with a code
+const totpEnrollments = new Map(); // auth session id -> { secret, expires }
+
+// Second factor for the signed-in admin's own login (their account, or the shared token)
+function handleTotpApi(pathname, req, res, auth) {
+  const user = auth.user ?? null;
+  const name = user || 'shared token';
+  if (auth.session.identity) {
+    sendJson(res, 409, { error: 'Signed in through an identity provider - set up two-factor sign-in there' });
+    return;
+  }
+
+  if (pathname === '/api/totp' && req.method === 'GET') {
+    const totp = getTotp(user);
+    sendJson(res, 200, { account: name, enabled: !!totp, recoveryCodesLeft: totp?.recovery?.length ?? 0 });
+    return;
+  }
+
+  if (pathname === '/api/totp/setup' && req.method === 'POST') {
+    readJson(req, res, () => {
+      if (getTotp(user)) {
+        sendJson(res, 409, { error: 'Two-factor sign-in is already on' });
+        return;
+      }
+      const secret = generateSecret();
+      totpEnrollments.set(auth.session.id, { secret, expires: Date.now() + TOTP_LOGIN_TIMEOUT_MS * 2 });
+      const url = otpauthUrl(secret, { account: name, issuer: "Celio's Network Machine" });
+      // Without a QR code the secret can still be typed into the authenticator
+      qrCode(url)
+        .catch(err => {
+          console.error(`[Auth] Could not draw QR code: ${err.message}`);
+          return null;
+        })
+        .then(qr => sendJson(res, 200, { secret, url, qr }));
+    });
+    return;
+  }
+
+  if (pathname === '/api/totp/enable' && req.method === 'POST') {
+    readJson(req, res, ({ code }) => {
+      const enrollment = totpEnrollments.get(auth.session.id);
+      if (!enrollment || enrollment.expires <= Date.now()) {
+        sendJson(res, 400, { error: 'Setup timed out, start again' });
+        return;
+      }
+      const step = verifyTotp(enrollment.secret, code);
+      if (step === null) {
+        sendJson(res, 400, { error: 'Invalid code - check the time on your phone' });
+        return;
+      }
+      totpEnrollments.delete(auth.session.id);
+      // This browser just proved the code; other sign-ins of this login without it end
+      auth.session.secondFactor = true;
+      authSessions.saveSoon();
+      const recoveryCodes = generateRecoveryCodes();
+      setTotp(user, {
+        secret: enrollment.secret,
+        lastStep: step,
+        recovery: recoveryCodes.map(hashRecoveryCode),
+        enabled: new Date().toISOString()
+      });
+      console.log(`[Auth] Two-factor sign-in enabled for ${name}`);
+      sendJson(res, 200, { recoveryCodes });
+    });
+    return;
+  }
+
+  // Turning it off, or replacing the recovery codes, takes a current code
+  if ((pathname === '/api/totp/disable' || pathname === '/api/totp/recovery') && req.method === 'POST') {
+    readJson(req, res, ({ code }) => {
+      if (!verifySecondFactor(user, code)) {
+        sendJson(res, 400, { error: 'Invalid code' });
+        return;
+      }
+      if (pathname === '/api/totp/disable') {
+        setTotp(user, null);
+        console.log(`[Auth] Two-factor sign-in disabled for ${name}`);
+        sendJson(res, 200, { enabled: false });
+        return;
+      }
+      const recoveryCodes = generateRecoveryCodes();
+      setTotp(user, { ...getTotp(user), recovery: recoveryCodes.map(hashRecoveryCode) });
+      console.log(`[Auth] New recovery codes for ${name}`);
+      sendJson(res, 200, { recoveryCodes });
+    });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// GET /auth/methods - sign-in options for the login page
+function handleAuthMethods(res) {
+  sendJson(res, 200, { oidc: oidcEnabled() ? config.OIDC_PROVIDER_NAME : null });
+}
+
+const OIDC_STATE_COOKIE = 'relay_oidc';
+
+// Lax, unlike the session cookie: it has to come back on the provider's redirect
+function oidcStateCookie(value, maxAge) {
+  return `${OIDC_STATE_COOKIE}=${value}; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}; Path=/`;
+}
+
+// GET /auth/oidc/login - off to the identity provider
+function handleOidcLogin(req, res) {
+  if (!takeLoginAttempt(req, res)) return;
+
+  startOidcLogin()
+    .then(({ url, state }) => {
+      res.writeHead(302, { 'Location': url, 'Cache-Control': 'no-store', 'Set-Cookie': oidcStateCookie(state, 600) });
+      res.end();
+    })
+    .catch(err => {
+      console.error(`[OIDC] Could not start sign-in: ${err.message}`);
+      oidcFailed(res, 'The identity provider is unreachable');
+    });
+}
+
+// GET /auth/oidc/callback?code&state - back from the provider with a code to redeem
+function handleOidcCallback(url, req, res) {
+  const params = url.searchParams;
+  if (params.has('error')) {
+    console.warn(`[OIDC] Provider returned ${params.get('error')}: ${params.get('error_description') || ''}`);
+    oidcFailed(res, params.get('error') === 'access_denied' ? 'Sign-in was cancelled' : 'The identity provider refused the sign-in');
+    return;
+  }
+
+  finishOidcLogin({ code: params.get('code'), state: params.get('state'), cookieState: parseCookies(req)[OIDC_STATE_COOKIE] })
+    .then(claims => {
+      const signIn = oidcIdentity(claims);
+      if (!signIn) {
+        console.warn(`[OIDC] ${claims.email || claims.sub} has no account or mapped group here`);
+        oidcFailed(res, 'Your account has no access to this relay');
+        return;
+      }
+      const sessionToken = createAuthSession(signIn.user, req, { role: signIn.role, secondFactor: true, identity: signIn.identity });
+      const role = sessionRole(authSessions.get(sessionToken));
+      console.log(`[OIDC] ${signIn.identity}${signIn.user ? ` (${signIn.user})` : ''} signed in (${role}) from ${clientAddress(req)}`);
+      // A page rather than a redirect: the Strict session cookie isn't sent on a redirect
+      // chain that started at the provider, but is on a navigation from this page
+      res.writeHead(200, {
+        'Content-Type': 'text/html',
+        'Cache-Control': 'no-store',
+        'Set-Cookie': [sessionCookie(sessionToken), oidcStateCookie('', 0)]
+      });
+      res.end('<!DOCTYPE html><meta http-equiv="refresh" content="0;url=../../"><title>Signed in</title><a href="../../">Continue</a>');
+    })
+    .catch(err => {
+      console.warn(`[OIDC] Sign-in failed: ${err.message}`);
+      oidcFailed(res, err.message);
+    });
+}
+
+// Back to the login page with the reason shown
+function oidcFailed(res, message) {
+  res.writeHead(302, {
+    'Location': `../../login.html#error=${encodeURIComponent(message)}`,
+    'Cache-Control': 'no-store',
+    'Set-Cookie': oidcStateCookie('', 0)
+  });
+  res.end();
+}
+
+// POST /auth/logout - end this browser's session
+function handleLogout(req, res) {
+  authSessions.delete(parseCookies(req)[SESSION_COOKIE_NAME]);
+  sendJson(res, 200, {}, { 'Set-Cookie': sessionCookie('', 0) });
+}
+
 // GitHub webhook secret (optional, for signature verification)
 const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || null;
 
@@ -689,15 +1211,81 @@ const server = createServer(httpsOptions, (req, res) => {
     return;
   }
 
+  // Sign in and out (the secret goes in a POST body, never in a URL)
+  if (pathname === '/auth/login' && req.method === 'POST') {
+    handleLogin(req, res);
+    return;
+  }
+  if (pathname === '/auth/logout' && req.method === 'POST') {
+    handleLogout(req, res);
+    return;
+  }
+  if (pathname === '/auth/methods' && req.method === 'GET') {
+    handleAuthMethods(res);
+    return;
+  }
+  if (pathname === '/auth/oidc/login' && req.method === 'GET' && oidcEnabled()) {
+    handleOidcLogin(req, res);
+    return;
+  }
+  if (pathname === '/auth/oidc/callback' && req.method === 'GET' && oidcEnabled()) {
+    handleOidcCallback(url, req, res);
+    return;
+  }
+  if (pathname === '/auth/totp' && req.method === 'POST') {
+    handleTotpLogin(req, res);
+    return;
+  }
+  if (pathname === '/auth/pair' && req.method === 'POST') {
+    handlePair(req, res);
+    return;
+  }
+
   // For static files, check auth first
   const auth = validateAuth(req);
 
-  // Allow unauthenticated access to static assets (CSS, JS) but not HTML
-  const isStaticAsset = pathname.match(/\.(css|js|png|ico|svg|woff|woff2)$/);
+  // Allow unauthenticated access to static assets (CSS, JS) and the login page, but not the app
+  const isStaticAsset = pathname.match(/\.(css|js|png|ico|svg|woff|woff2)$/) || pathname === '/login.html';
 
   if (!auth.valid && !isStaticAsset) {
+    if (pathname === '/' || pathname.endsWith('.html')) {
+      // Relative to the page, so the /cnm prefix is kept
+      res.writeHead(302, { 'Location': 'login.html', 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
     res.writeHead(401, { 'Content-Type': 'text/plain' });
-    res.end('Unauthorized - token required');
+    res.end('Unauthorized - sign in first');
+    return;
+  }
+
+  // Device management is for admins only
+  if (pathname.startsWith('/api/') || pathname === '/admin.html') {
+    if (!roleAllows(auth.role, 'admin')) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden - admins only');
+      return;
+    }
+    if (pathname.startsWith('/api/')) {
+      handleAdminApi(pathname, req, res, auth);
+      return;
+    }
+  }
+
+  // Session recordings (same role as listing them)
+  if (pathname.startsWith('/recordings/')) {
+    if (!roleAllows(auth.role, MESSAGE_ROLES.list_recordings)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end(`Forbidden - recordings need the ${MESSAGE_ROLES.list_recordings} role`);
+      return;
+    }
+    let name;
+    try {
+      name = decodeURIComponent(pathname.slice('/recordings/'.length));
+    } catch (err) {
+      name = null;
+    }
+    serveRecording(name, url.searchParams.has('download'), res);
     return;
   }
 
@@ -728,9 +1316,10 @@ const server = createServer(httpsOptions, (req, res) => {
 
     const headers = { 'Content-Type': contentTypes[ext] || 'text/plain' };
 
-    // Set session cookie for new sessions
-    if (auth.isNewSession && auth.sessionToken) {
-      headers['Set-Cookie'] = `${SESSION_COOKIE_NAME}=${auth.sessionToken}; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_MAX_AGE}; Path=/`;
+    // Extend the session cookie on page loads
+    const cookie = ext === 'html' ? renewedCookie(auth) : null;
+    if (cookie) {
+      headers['Set-Cookie'] = cookie;
     }
 
     res.writeHead(200, headers);
@@ -742,13 +1331,40 @@ const server = createServer(httpsOptions, (req, res) => {
 });
 
 // Create WebSocket server
-const wss = new WebSocketServer({ server });
+// Browsers send Origin on WebSocket upgrades, and cookies (the relay's, or Cloudflare's
+// CF_Authorization behind the Access header) go along even when another site opens the
+// socket. Only pages served by the relay itself may connect: the public URL, or the host
+// the request was addressed to (LAN and localhost). Clients without Origin aren't browsers.
+const PUBLIC_HOST = new URL(config.PUBLIC_URL).host;
+
+function allowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  let host;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    return false;
+  }
+  return host === PUBLIC_HOST || host === req.headers.host;
+}
+
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }) => {
+    if (allowedOrigin(req)) return true;
+    console.warn(`[WS] Rejected connection from origin ${req.headers.origin}`);
+    return false;
+  },
+  // Terminal output is repetitive text and compresses well, which matters on cellular
+  perMessageDeflate: config.WS_COMPRESSION ? { threshold: config.WS_COMPRESSION_THRESHOLD } : false
+});
 
 // Handle WebSocket connections
 wss.on('connection', (ws, req) => {
   console.log('[WS] New connection attempt');
 
-  // Validate auth (cookie or URL token)
+  // Validate auth (session cookie, never the half-signed-in relay_totp one, or Cloudflare Access)
   const auth = validateAuth(req);
 
   if (!auth.valid) {
@@ -758,17 +1374,23 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
-  console.log(`[WS] Authentication successful (${auth.isNewSession ? 'new session' : 'existing session'})`);
+  console.log(`[WS] Authentication successful (${authName(auth)}, ${auth.role})`);
+  ws.authSessionId = auth.session.id; // So revoking the device closes this connection
+  let currentRole = auth.role; // As of the last message (roles are re-read per message)
 
-  // Track multiple pipe connections (for tabs)
-  // Map of sessionId -> { pipe, buffer }
-  const pipeSockets = new Map();
+  // Protocol handshake - browser capabilities stay legacy until its hello arrives
+  let clientPeer = LEGACY_PEER;
+  ws.send(JSON.stringify(createHello('relay', RELAY_CAPABILITIES)));
+  // Who this is, so the client can hide what the role can't do
+  ws.send(JSON.stringify({ type: 'account', user: auth.user, role: auth.role, access: !!auth.accessClaims }));
+
+  // Session hubs this client is subscribed to (for tabs); the host pipes are shared
+  // Map of sessionId -> subscriber
+  const subscriptions = new Map();
   let activeSessionId = null;
 
-  // Rate limiting state (prevents flooding with requests)
-  let messageCount = 0;
-  let lastRateReset = Date.now();
-  const MAX_MESSAGES_PER_SECOND = 10;
+  // Rate limiting (prevents flooding with requests), one bucket per message type
+  const rateLimiter = new MessageRateLimiter(config.RATE_LIMITS);
 
   // WebSocket heartbeat to detect stale connections
   let isAlive = true;
@@ -791,246 +1413,272 @@ wss.on('connection', (ws, req) => {
 
   // Handle messages from client
   ws.on('message', (message) => {
-    // Rate limiting check
-    const now = Date.now();
-    if (now - lastRateReset >= 1000) {
-      messageCount = 0;
-      lastRateReset = now;
+    // Decode and validate against the declared schema
+    let msg = null;
+    try {
+      msg = decodeClientMessage(message.toString());
+      validateClientMessage(msg);
+    } catch (err) {
+      // Garbage counts against the shared bucket; past it, stop answering
+      if (rateLimiter.take(null) === 0) {
+        console.warn(`[WS] Rejected message: ${err.message}`);
+        sendError(msg, err);
+      }
+      return;
     }
 
-    messageCount++;
-    if (messageCount > MAX_MESSAGES_PER_SECOND) {
-      console.warn(`[WS] Rate limit exceeded for client`);
-      ws.send(JSON.stringify({ type: 'error', message: 'Rate limit exceeded' }));
+    // Rate limiting check - the rejection is reported, so clients can retry after the wait
+    const retryAfterMs = rateLimiter.take(msg.type);
+    if (retryAfterMs > 0) {
+      console.warn(`[WS] Rate limit exceeded for ${msg.type}`);
+      sendError(msg, new RelayError(ERROR_CODES.RATE_LIMITED, `Rate limit exceeded for ${msg.type}`, { retryAfterMs }));
       return; // Drop the message, don't close connection
     }
 
-    try {
-      const msg = JSON.parse(message.toString());
+    const role = connectionRole(auth);
+    if (!role) {
+      console.log(`[WS] Sign-in of ${authName(auth)} no longer valid, closing`);
+      ws.close(4001, 'Unauthorized');
+      return;
+    }
+    currentRole = role;
+    const requiredRole = MESSAGE_ROLES[msg.type] || 'viewer';
+    if (!roleAllows(role, requiredRole)) {
+      console.warn(`[WS] ${auth.user || 'shared token'} (${role}) may not send ${msg.type}`);
+      sendError(msg, new RelayError(ERROR_CODES.FORBIDDEN, `${msg.type} needs the ${requiredRole} role`, { role }));
+      return;
+    }
 
+    try {
       switch (msg.type) {
+        case 'hello':
+          clientPeer = negotiate(RELAY_CAPABILITIES, msg);
+          console.log(`[WS] Client speaks protocol v${clientPeer.protocol} (shared: ${clientPeer.capabilities.join(', ') || 'none'})`);
+          break;
+
         case 'list_sessions':
+          // List responses carry the request id instead of a separate ack
           const currentSessions = listSessions();
-          ws.send(JSON.stringify({ type: 'sessions', sessions: currentSessions }));
+          ws.send(JSON.stringify({ type: 'sessions', id: msg.id, sessions: currentSessions }));
           break;
 
         case 'connect_session':
-          connectToSession(msg.sessionId);
+          // Acked once the host pipe is connected
+          connectToSession(msg.sessionId, msg);
+          break;
+
+        case 'set_visible': {
+          // Sessions on screen get the full stream, other subscriptions only summaries
+          // (connecting to a session shows it until the next set_visible)
+          const visible = new Set(msg.sessionIds);
+          for (const [sessionId, subscriber] of subscriptions) {
+            subscriber.hub.setVisible(subscriber, visible.has(sessionId));
+          }
+          sendAck(msg);
+          break;
+        }
+
+        case 'output_ack':
+          // Flow control: output the browser has rendered, per session (no reply)
+          for (const ack of msg.acks) {
+            const subscriber = subscriptions.get(ack?.sessionId);
+            if (subscriber && Number.isInteger(ack.chars) && ack.chars > 0) {
+              subscriber.hub.ack(subscriber, ack.chars);
+            }
+          }
           break;
 
         case 'ping':
           // Keep-alive ping from client, respond with pong
-          ws.send(JSON.stringify({ type: 'pong' }));
+          ws.send(JSON.stringify({ type: 'pong', id: msg.id }));
           break;
 
         case 'input':
         case 'control':
-        case 'resize':
-          // Forward to active session's pipe with error handling
-          if (activeSessionId) {
-            const conn = pipeSockets.get(activeSessionId);
-            if (conn && conn.connected) {
-              writeToPipe(conn, msg);
-            }
+        case 'key':
+        case 'resize': {
+          // Forward to the named (else the active) session's shared pipe
+          const targetSessionId = msg.sessionId || activeSessionId;
+          const subscriber = targetSessionId ? subscriptions.get(targetSessionId) : null;
+          if (!subscriber || !subscriber.hub.connected) {
+            throw new RelayError(ERROR_CODES.NO_SESSION, 'Not connected to a session', { sessionId: targetSessionId });
+          }
+          if (msg.type === 'key' && !parseChord(msg.key)) {
+            throw new RelayError(ERROR_CODES.INVALID_FIELD, `Unknown key: ${msg.key}`, { field: 'key' });
+          }
+          // Keystrokes are batched into one pipe write; anything else goes after them
+          if (msg.type === 'input') {
+            subscriber.input.push(msg.data);
+          } else if (msg.type === 'key' && !hasCapability(subscriber.hub.host, 'keys')) {
+            // Older hosts only take raw input; their cursor-key mode is unknown, so assume normal
+            subscriber.input.push(encodeKey(msg.key));
+          } else {
+            const { id, ...hostMsg } = msg;
+            subscriber.input.flush();
+            subscriber.hub.write(hostMsg);
           }
+          sendAck(msg);
           break;
+        }
 
         case 'upload_file':
           // Handle file upload to session's working directory
-          handleFileUpload(ws, msg, activeSessionId);
+          runRequest(msg, () => handleFileUpload(msg, activeSessionId));
           break;
 
         case 'create_session':
           // Create new project folder and spawn Claude session
-          handleCreateSession(ws, msg);
+          runRequest(msg, () => handleCreateSession(msg));
+          break;
+
+        case 'load_history':
+          // Older output than the terminal holds, one page per request
+          sendAck(msg, handleLoadHistory(msg));
           break;
 
         case 'list_projects':
           // List all projects (folders + active session data)
           const projects = listProjects();
-          ws.send(JSON.stringify({ type: 'projects', projects }));
+          ws.send(JSON.stringify({ type: 'projects', id: msg.id, projects }));
+          break;
+
+        case 'list_recordings':
+          // Recordings on disk (files are fetched over HTTPS from /recordings/<name>)
+          ws.send(JSON.stringify({ type: 'recordings', id: msg.id, recordings: listRecordings() }));
           break;
 
         case 'list_folders':
           // List folders in Documents\Code (legacy)
           const folders = listCodeFolders();
-          ws.send(JSON.stringify({ type: 'folders', folders }));
+          ws.send(JSON.stringify({ type: 'folders', id: msg.id, folders }));
           break;
 
         case 'start_folder_session':
           // Start Claude session in existing folder
-          handleStartFolderSession(ws, msg);
+          runRequest(msg, () => handleStartFolderSession(msg));
           break;
 
         default:
-          console.log(`[WS] Unknown message type: ${msg.type}`);
+          throw new RelayError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${msg.type}`);
       }
     } catch (err) {
-      console.error('[WS] Error parsing message:', err.message);
+      console.error(`[WS] Error handling ${msg.type}:`, err.message);
+      sendError(msg, err);
     }
   });
 
-  // Connect to a session's named pipe
-  function connectToSession(sessionId) {
-    // If already connected to this session, just make it active
-    if (pipeSockets.has(sessionId)) {
+  // Send a correlated ack (clients without 'ack' get the legacy *_result shape)
+  function sendAck(msg, result = {}) {
+    if (!msg) return null;
+    let reply;
+    if (hasCapability(clientPeer, 'ack')) {
+      if (msg.id === undefined) return null;
+      reply = { type: 'ack', id: msg.id, request: msg.type, ...result };
+    } else if (LEGACY_RESULT_TYPES[msg.type]) {
+      reply = { type: LEGACY_RESULT_TYPES[msg.type], success: true, ...result };
+    } else {
+      return null;
+    }
+    ws.send(JSON.stringify(reply));
+    return reply;
+  }
+
+  // Send a typed error, correlated to the request when it had an id
+  function sendError(msg, err) {
+    const error = toRelayError(err);
+    let reply;
+    if (!hasCapability(clientPeer, 'ack') && LEGACY_RESULT_TYPES[msg?.type]) {
+      reply = { type: LEGACY_RESULT_TYPES[msg.type], success: false, error: error.message, ...error.details };
+    } else {
+      reply = {
+        type: 'error',
+        id: msg?.id,
+        request: msg?.type,
+        code: error.code,
+        message: error.message,
+        ...error.details
+      };
+    }
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(reply));
+    }
+    return reply;
+  }
+
+  // Run a request handler and ack its result, replaying the earlier ack for a resent id
+  function runRequest(msg, handler) {
+    // Per sign-in: a relay session, or for Cloudflare Access (no cookie) the Access identity
+    const replayKey = msg.id !== undefined && hasCapability(clientPeer, 'ack') ? `${auth.session.id}:${msg.id}` : null;
+    const previous = replayKey && completedRequests.get(replayKey);
+    if (previous) {
+      console.log(`[WS] Replaying reply for duplicate request ${msg.id} (${msg.type})`);
+      ws.send(JSON.stringify(previous.reply));
+      return;
+    }
+
+    let reply;
+    try {
+      reply = sendAck(msg, handler());
+    } catch (err) {
+      sendError(msg, err);
+      return;
+    }
+    if (replayKey && reply) {
+      rememberReply(replayKey, reply);
+    }
+  }
+
+  // Subscribe to a session's hub (connecting to its host if nobody else is)
+  // `request` is the connect_session message, acked once the host pipe is up
+  function connectToSession(sessionId, request) {
+    // If already subscribed, make it active; the hub replays what this view is missing
+    const existing = subscriptions.get(sessionId);
+    if (existing) {
       activeSessionId = sessionId;
       console.log(`[WS] Switched to existing session: ${sessionId}`);
-      // Resend status for the session
-      const conn = pipeSockets.get(sessionId);
-      if (conn && conn.connected) {
-        ws.send(JSON.stringify({ type: 'status', state: 'connected', sessionId }));
-      }
+      existing.hub.subscribe(existing, request);
       return;
     }
 
     const session = getSession(sessionId);
     if (!session) {
-      ws.send(JSON.stringify({ type: 'error', message: `Session "${sessionId}" not found`, sessionId }));
+      sendError(request, new RelayError(ERROR_CODES.SESSION_NOT_FOUND, `Session "${sessionId}" not found`, { sessionId }));
       return;
     }
 
-    console.log(`[WS] Connecting to session: ${sessionId}`);
-
-    // Connect to the named pipe with timeout
-    const PIPE_CONNECT_TIMEOUT = 10000; // 10 seconds
-    const pipeSocket = net.connect(session.pipe);
-    let connectTimeout = null;
-
-    const conn = { pipe: pipeSocket, buffer: '', connected: false, pingInterval: null };
-    pipeSockets.set(sessionId, conn);
-    activeSessionId = sessionId;
-
-    // Set connection timeout
-    connectTimeout = setTimeout(() => {
-      if (!conn.connected) {
-        console.error(`[Pipe] Connection timeout for ${sessionId}`);
-        pipeSocket.destroy();
-        pipeSockets.delete(sessionId);
-        ws.send(JSON.stringify({ type: 'error', message: 'Connection timeout', sessionId }));
-        ws.send(JSON.stringify({ type: 'status', state: 'disconnected', reason: 'Connection timeout', sessionId }));
-      }
-    }, PIPE_CONNECT_TIMEOUT);
-
-    pipeSocket.on('connect', () => {
-      clearTimeout(connectTimeout);
-      conn.connected = true;
-      console.log(`[Pipe] Connected to ${sessionId}`);
-
-      // Send resize immediately
-      writeToPipe(conn, { type: 'resize', cols: 120, rows: 30 });
-
-      // Start heartbeat pings to session (every 15 seconds)
-      conn.pingInterval = setInterval(() => {
-        if (conn.connected && !conn.pipe.destroyed) {
-          writeToPipe(conn, { type: 'ping' });
-        }
-      }, 15000);
-    });
-
-    pipeSocket.on('data', (data) => {
-      conn.buffer += data.toString();
-
-      // Prevent unbounded buffer growth (DoS protection)
-      if (conn.buffer.length > MAX_PIPE_BUFFER_SIZE) {
-        console.error(`[Pipe] Buffer exceeded ${MAX_PIPE_BUFFER_SIZE} bytes for ${sessionId}, disconnecting`);
-        pipeSocket.destroy();
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Buffer overflow - connection reset',
-          sessionId
-        }));
-        ws.send(JSON.stringify({
-          type: 'status',
-          state: 'disconnected',
-          reason: 'Buffer overflow',
-          sessionId
-        }));
-        return;
-      }
-
-      // Process complete JSON messages (newline-delimited)
-      const lines = conn.buffer.split('\n');
-      conn.buffer = lines.pop();
-
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        try {
-          const msg = JSON.parse(line);
-
-          // Handle pong (heartbeat response) - don't forward to client
-          if (msg.type === 'pong') {
-            continue;
-          }
-
-          // Always forward with sessionId so client can route appropriately
-          msg.sessionId = sessionId;
-
-          // Log scrollback receipt
-          if (msg.type === 'scrollback') {
-            console.log(`[Pipe] Received scrollback for ${sessionId} (${msg.data?.length || 0} chars)`);
-          }
-
+    console.log(`[WS] Subscribing to session: ${sessionId}`);
+    const subscriber = {
+      hub: getSessionHub(sessionId, session.endpoint),
+      get peer() { return clientPeer; },
+      get buffered() { return ws.bufferedAmount; },
+      // Watchers that can't type don't get to pause the session for everyone
+      get holdsFlow() { return roleAllows(currentRole, MESSAGE_ROLES.input); },
+      send(msg) {
+        if (ws.readyState !== ws.OPEN) return;
+        // Output goes as a binary frame to clients that negotiated it
+        const frame = msg.type === 'output' && hasCapability(clientPeer, 'binary') ? encodeOutputFrame(msg) : null;
+        if (frame) {
+          ws.send(frame, { binary: true });
+        } else {
           ws.send(JSON.stringify(msg));
-        } catch (err) {
-          // Raw output, wrap it with sessionId
-          ws.send(JSON.stringify({ type: 'output', data: line, sessionId }));
+        }
+      },
+      ack: (req) => sendAck(req, { sessionId }),
+      fail: (req, err) => sendError(req, err),
+      detached() {
+        if (subscriptions.get(sessionId) === subscriber) {
+          subscriptions.delete(sessionId);
         }
       }
+    };
+    subscriber.input = new Coalescer({
+      windowMs: config.INPUT_COALESCE_MS,
+      maxBytes: config.INPUT_COALESCE_BYTES,
+      onFlush: (data) => subscriber.hub.write({ type: 'input', data })
     });
-
-    pipeSocket.on('error', (err) => {
-      // Clear connect timeout to prevent double-handling
-      if (connectTimeout) {
-        clearTimeout(connectTimeout);
-        connectTimeout = null;
-      }
-
-      console.error(`[Pipe] Error for ${sessionId}: ${err.message}`);
-      cleanupPipeConnection(sessionId, conn);
-      ws.send(JSON.stringify({ type: 'error', message: `Pipe error: ${err.message}`, sessionId }));
-      ws.send(JSON.stringify({ type: 'status', state: 'disconnected', reason: err.message, sessionId }));
-    });
-
-    pipeSocket.on('close', () => {
-      // Clear connect timeout to prevent double-handling
-      if (connectTimeout) {
-        clearTimeout(connectTimeout);
-        connectTimeout = null;
-      }
-
-      console.log(`[Pipe] Disconnected from ${sessionId}`);
-      cleanupPipeConnection(sessionId, conn);
-      ws.send(JSON.stringify({ type: 'status', state: 'disconnected', reason: 'Session ended', sessionId }));
-    });
-  }
-
-  // Safely write to pipe with error handling
-  function writeToPipe(conn, msg) {
-    if (!conn || !conn.pipe || conn.pipe.destroyed) {
-      return false;
-    }
-    try {
-      const success = conn.pipe.write(JSON.stringify(msg) + '\n');
-      // Handle backpressure - if write returns false, buffer is full
-      if (!success) {
-        console.warn('[Pipe] Write buffer full, message may be delayed');
-      }
-      return success;
-    } catch (err) {
-      console.error('[Pipe] Write error:', err.message);
-      return false;
-    }
-  }
-
-  // Clean up pipe connection resources
-  function cleanupPipeConnection(sessionId, conn) {
-    if (conn.pingInterval) {
-      clearInterval(conn.pingInterval);
-      conn.pingInterval = null;
-    }
-    conn.connected = false;
-    pipeSockets.delete(sessionId);
+    subscriptions.set(sessionId, subscriber);
+    activeSessionId = sessionId;
+    subscriber.hub.subscribe(subscriber, request);
   }
 
   // Cleanup all connections
@@ -1040,13 +1688,12 @@ wss.on('connection', (ws, req) => {
       clearInterval(wsPingInterval);
     }
 
-    for (const [sessionId, conn] of pipeSockets) {
-      cleanupPipeConnection(sessionId, conn);
-      if (conn.pipe) {
-        conn.pipe.destroy();
-      }
+    // Other clients may still be using the hubs; they close the pipes once idle
+    for (const subscriber of subscriptions.values()) {
+      subscriber.input.flush();
+      subscriber.hub.unsubscribe(subscriber);
     }
-    pipeSockets.clear();
+    subscriptions.clear();
   }
 
   // Handle client disconnect
@@ -1079,8 +1726,10 @@ server.on('error', (err) => {
 process.on('SIGINT', () => {
   console.log('\n[Server] Shutting down...');
 
-  // Close all WebSocket connections
+  // Close all WebSocket connections and host pipes
   wss.clients.forEach(ws => ws.close());
+  closeAllHubs();
+  authSessions.save();
 
   // Attempt to kill spawned launchers (best effort)
   for (const pid of spawnedLaunchers) {
@@ -1108,8 +1757,10 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
   console.log('\n[Server] Received SIGTERM, shutting down...');
 
-  // Close all WebSocket connections
+  // Close all WebSocket connections and host pipes
   wss.clients.forEach(ws => ws.close());
+  closeAllHubs();
+  authSessions.save();
 
   // Attempt to kill spawned launchers (best effort)
   for (const pid of spawnedLaunchers) {
@@ -1132,6 +1783,14 @@ process.on('SIGTERM', () => {
 });
 
 // Start server
+// Cloudflare Access signing keys, fetched before the first request needs them
+if (accessEnabled()) {
+  startKeyRefresh();
+}
+if (oidcEnabled()) {
+  warmUpOidc();
+}
+
 server.listen(config.PORT, config.HOST, () => {
   console.log('');
   console.log('  ╔═══════════════════════════════════════════════════╗');
@@ -1140,14 +1799,21 @@ server.listen(config.PORT, config.HOST, () => {
   console.log('  ╚═══════════════════════════════════════════════════╝');
   console.log('');
   console.log(`    Server:  https://${config.HOST}:${config.PORT}`);
-  console.log(`    Token:   ${config.AUTH_TOKEN.substring(0, 8)}...`);
+  console.log(`    Token:   ${isRole(config.AUTH_TOKEN_ROLE) ? `set (${config.AUTH_TOKEN_ROLE})` : 'disabled'}`);
+  console.log(`    Accounts: ${hasAccounts() ? ACCOUNTS_FILE : 'none (node manage-accounts.js add <name> <role>)'}`);
+  if (accessEnabled()) {
+    console.log(`    Access:  ${teamIssuer()} (others: ${config.CF_ACCESS_DEFAULT_ROLE})`);
+  }
+  if (oidcEnabled()) {
+    console.log(`    OIDC:    ${config.OIDC_ISSUER} (redirect URI ${redirectUri()})`);
+  }
   console.log('');
   console.log('    Start a link with:');
   console.log('      node launcher.js <name> [working-dir]');
   console.log('');
-  console.log('    Connect from:');
-  console.log(`      Production:  https://walterfam.xyz/cnm?token=${config.AUTH_TOKEN}`);
-  console.log(`      LAN:         https://192.168.1.204:${config.PORT}/?token=${config.AUTH_TOKEN}`);
+  console.log('    Sign in at:');
+  console.log('      Production:  https://walterfam.xyz/cnm/');
+  console.log(`      LAN:         https://192.168.1.204:${config.PORT}/`);
   console.log('');
 
   // Show existing sessions
@@ -0,0 +1,134 @@
+// JSON Web Tokens signed by an outside party (Cloudflare Access, an OpenID provider):
+// their published keys (JWKS) and signature checks. Claim checks are left to the callers,
+// which know what issuer and audience to expect.
+
+import { readFile } from 'fs/promises';
+import crypto from 'crypto';
+
+const MIN_REFETCH_MS = 30 * 1000; // For unknown key ids
+const FETCH_TIMEOUT_MS = 10 * 1000;
+export const CLOCK_SKEW_SECONDS = 60;
+
+// alg -> node verify parameters
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+// A provider's signing keys, loaded from a JWKS URL or (for offline use) a file
+export class KeySet {
+  constructor(location, logPrefix) {
+    this.location = location;
+    this.logPrefix = logPrefix;
+    this.keys = new Map(); // kid -> KeyObject
+    this.lastFetch = 0;
+    this.fetching = null;
+  }
+
+  refresh() {
+    if (this.fetching) return this.fetching;
+    this.lastFetch = Date.now();
+    const location = this.location;
+    const load = /^https?:\/\//.test(location)
+      ? fetch(location, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) }).then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      : readFile(location, 'utf8').then(JSON.parse);
+
+    this.fetching = load
+      .then(jwks => {
+        const next = new Map();
+        for (const jwk of jwks.keys || []) {
+          try {
+            next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          } catch (err) {
+            console.warn(`${this.logPrefix} Skipping key ${jwk.kid}: ${err.message}`);
+          }
+        }
+        this.keys = next;
+        console.log(`${this.logPrefix} Loaded ${this.keys.size} signing keys from ${location}`);
+      })
+      .catch(err => console.error(`${this.logPrefix} Could not load keys from ${location}: ${err.message}`))
+      .finally(() => { this.fetching = null; });
+    return this.fetching;
+  }
+
+  // Fetch now and keep current
+  startRefresh(intervalMs) {
+    this.refresh();
+    setInterval(() => this.refresh(), intervalMs).unref();
+  }
+
+  // Cached key, refetching in the background if it's unknown (keys may have rotated)
+  get(kid) {
+    const key = this.keys.get(kid);
+    if (!key && Date.now() - this.lastFetch > MIN_REFETCH_MS) {
+      this.refresh();
+    }
+    return key || null;
+  }
+
+  // Key, waiting for a refetch if it's unknown
+  async load(kid) {
+    if (!this.keys.has(kid) && Date.now() - this.lastFetch > MIN_REFETCH_MS) {
+      await this.refresh();
+    }
+    return this.keys.get(kid) || null;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Header and claims, unverified ({ error } if it isn't a JWT)
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return { error: 'malformed token' };
+  let header, claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    return { error: 'malformed token' };
+  }
+  // Valid JSON isn't enough: `null` or an array would break every field lookup after this
+  if (!isPlainObject(header) || !isPlainObject(claims)) return { error: 'malformed token' };
+  return { header, claims };
+}
+
+// Check a token's signature with `key` (from the KeySet, by header.kid); returns its
+// claims, or { error }
+export function verifyJwtSignature(token, key) {
+  const { header, claims, error } = decodeJwt(token);
+  if (error) return { error };
+  const algorithm = Object.hasOwn(ALGORITHMS, header.alg) ? ALGORITHMS[header.alg] : null;
+  if (!algorithm) return { error: `unsupported algorithm ${header.alg}` };
+  if (!key) return { error: `unknown key ${header.kid}` };
+
+  const [encodedHeader, encodedClaims, encodedSignature] = token.split('.');
+  let valid = false;
+  try {
+    valid = crypto.verify(algorithm.hash, Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      { key, dsaEncoding: algorithm.dsaEncoding }, Buffer.from(encodedSignature, 'base64url'));
+  } catch {
+    valid = false;
+  }
+  return valid ? { claims } : { error: 'bad signature' };
+}
+
+// Why standard claims make a token unusable now (null if they don't)
+export function checkClaims(claims, { issuer, audience, nowMs = Date.now() }) {
+  const now = nowMs / 1000;
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(audience)) return 'wrong audience';
+  if (claims.iss !== issuer) return `wrong issuer ${claims.iss}`;
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) return 'expired';
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) return 'not yet valid';
+  return null;
+}
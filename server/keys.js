@@ -0,0 +1,124 @@
+// Key chords - symbolic key names encoded to the bytes a terminal would send
+//
+// A chord is modifiers plus one key joined with '+', e.g. 'Ctrl+C', 'Shift+Tab',
+// 'Alt+Enter', 'Ctrl+Shift+Up', 'F5', 'PgDn'. Names are case-insensitive. Encoding
+// follows xterm: cursor keys switch to SS3 form in application-cursor mode, and
+// modified special keys carry the modifier as a CSI parameter (1 + shift/alt/ctrl bits).
+
+const MODIFIERS = {
+  ctrl: 'ctrl', control: 'ctrl',
+  alt: 'alt', meta: 'alt', option: 'alt',
+  shift: 'shift'
+};
+
+const KEY_ALIASES = {
+  esc: 'escape', return: 'enter', bs: 'backspace', del: 'delete', ins: 'insert',
+  pageup: 'pgup', pagedown: 'pgdn', pgdown: 'pgdn',
+  arrowup: 'up', arrowdown: 'down', arrowleft: 'left', arrowright: 'right'
+};
+
+// Keys sent as plain bytes
+const SIMPLE_KEYS = {
+  escape: '\x1b',
+  enter: '\r',
+  tab: '\t',
+  backspace: '\x7f',
+  space: ' '
+};
+
+// Cursor keys and Home/End: final byte of CSI <final> (or SS3 <final> in app-cursor mode)
+const CURSOR_KEYS = { up: 'A', down: 'B', right: 'C', left: 'D', home: 'H', end: 'F' };
+
+// Editing and function keys sent as CSI <code> ~
+const TILDE_KEYS = {
+  insert: 2, delete: 3, pgup: 5, pgdn: 6,
+  f5: 15, f6: 17, f7: 18, f8: 19, f9: 20, f10: 21, f11: 23, f12: 24
+};
+
+// F1-F4 are SS3 P..S unmodified, CSI 1;<mod> P..S with modifiers
+const SS3_FUNCTION_KEYS = { f1: 'P', f2: 'Q', f3: 'R', f4: 'S' };
+
+// Ctrl with punctuation, beyond the letters
+const CTRL_SYMBOLS = { '@': '\x00', ' ': '\x00', '[': '\x1b', '\\': '\x1c', ']': '\x1d', '^': '\x1e', '_': '\x1f', '?': '\x7f' };
+
+// Chords for the older `control` message keys
+export const CONTROL_KEY_CHORDS = {
+  CTRL_C: 'Ctrl+C',
+  CTRL_D: 'Ctrl+D',
+  ESC: 'Escape'
+};
+
+// Split a chord into { key, ctrl, alt, shift }; null if it does not name one key
+export function parseChord(chord) {
+  if (typeof chord !== 'string' || !chord) {
+    return null;
+  }
+  // A trailing '+' is the plus key itself ('Ctrl++')
+  const parts = chord.endsWith('+') ? [...chord.slice(0, -1).split('+').slice(0, -1), '+'] : chord.split('+');
+  const parsed = { key: null, ctrl: false, alt: false, shift: false };
+  for (const part of parts.slice(0, -1)) {
+    const modifier = MODIFIERS[part.trim().toLowerCase()];
+    if (!modifier || parsed[modifier]) {
+      return null;
+    }
+    parsed[modifier] = true;
+  }
+  const last = parts[parts.length - 1];
+  const key = last.trim() || last;
+  if (key.length === 1) {
+    parsed.key = key;
+  } else {
+    const name = key.toLowerCase();
+    parsed.key = KEY_ALIASES[name] || name;
+    if (!(parsed.key in SIMPLE_KEYS || parsed.key in CURSOR_KEYS || parsed.key in TILDE_KEYS || parsed.key in SS3_FUNCTION_KEYS)) {
+      return null;
+    }
+  }
+  return parsed;
+}
+
+// Bytes for a chord, or null if it is not a key this table knows
+export function encodeKey(chord, { applicationCursor = false } = {}) {
+  const parsed = parseChord(chord);
+  if (!parsed) {
+    return null;
+  }
+  const { key, ctrl, alt, shift } = parsed;
+  const modifier = 1 + (shift ? 1 : 0) + (alt ? 2 : 0) + (ctrl ? 4 : 0);
+
+  if (key in CURSOR_KEYS) {
+    const final = CURSOR_KEYS[key];
+    if (modifier > 1) return `\x1b[1;${modifier}${final}`;
+    return applicationCursor ? `\x1bO${final}` : `\x1b[${final}`;
+  }
+  if (key in TILDE_KEYS) {
+    return modifier > 1 ? `\x1b[${TILDE_KEYS[key]};${modifier}~` : `\x1b[${TILDE_KEYS[key]}~`;
+  }
+  if (key in SS3_FUNCTION_KEYS) {
+    return modifier > 1 ? `\x1b[1;${modifier}${SS3_FUNCTION_KEYS[key]}` : `\x1bO${SS3_FUNCTION_KEYS[key]}`;
+  }
+
+  // Everything else is a character (or a plain-byte key) with Alt as an ESC prefix
+  let sequence;
+  if (key === 'tab' && shift) {
+    sequence = '\x1b[Z';
+  } else if (key === 'backspace' && ctrl) {
+    sequence = '\x08';
+  } else if (key === 'space' && ctrl) {
+    sequence = '\x00';
+  } else if (key in SIMPLE_KEYS) {
+    sequence = SIMPLE_KEYS[key];
+  } else if (ctrl) {
+    const upper = key.toUpperCase();
+    if (upper >= 'A' && upper <= 'Z') {
+      sequence = String.fromCharCode(upper.charCodeAt(0) & 0x1f);
+    } else if (key in CTRL_SYMBOLS) {
+      sequence = CTRL_SYMBOLS[key];
+    } else {
+      return null;
+    }
+  } else {
+    sequence = shift ? key.toUpperCase() : key;
+  }
+  return alt ? `\x1b${sequence}` : sequence;
+}
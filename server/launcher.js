@@ -1,31 +1,85 @@
 #!/usr/bin/env node
-// Session Launcher - Starts Claude Code in a managed PTY with named pipe access
+// Session Launcher - Starts Claude Code in a managed PTY with named pipe / Unix socket access
 // Usage: node launcher.js [session-name] [working-directory] [--skip-permissions]
 
 import pty from 'node-pty';
 import net from 'net';
-import { writeFileSync, unlinkSync, mkdirSync, existsSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
 import config from './config.js';
+import { createEndpoint, prepareEndpoint, cleanupEndpoint } from './transport.js';
+import { SessionRegistration, REGISTRY_UPDATE_INTERVAL } from './registry.js';
+import { createHello, negotiate, LEGACY_PEER, HOST_CAPABILITIES, LEGACY_SYNC_DELAY_MS } from './protocol.js';
+import { ReplayBuffer } from './replay-buffer.js';
+import { ScrollbackBuffer } from './scrollback-buffer.js';
+import { ScreenModel } from './screen-model.js';
+import { ScrollbackLog } from './scrollback-log.js';
+import { AsciicastRecorder } from './recorder.js';
+import { Coalescer } from './coalescer.js';
+import { encodeKey, CONTROL_KEY_CHORDS } from './keys.js';
+import { resolveClaudeCommand } from './claude-command.js';
 
 // Session configuration
 const sessionId = process.argv[2] || `claude-${Date.now()}`;
 const workingDir = process.argv[3] || process.cwd();
 const skipPermissions = process.argv[4] === '--skip-permissions';
-const registryDir = join(homedir(), '.claude-relay', 'sessions');
-const pipeName = `\\\\.\\pipe\\claude-relay-${sessionId}`;
-const registryFile = join(registryDir, `${sessionId}.json`);
+const endpoint = createEndpoint(sessionId);
+const pipeName = endpoint.path;
 
 // Scrollback buffer
-const scrollbackLines = [];
-const MAX_SCROLLBACK = config.SCROLLBACK_LINES;
+const scrollback = new ScrollbackBuffer({
+  maxBytes: config.SCROLLBACK_BYTES,
+  maxLines: config.SCROLLBACK_LINES,
+  compact: config.SCROLLBACK_COMPACT
+});
+
+// Sequence-numbered output kept for gap-free resume
+const replay = new ReplayBuffer(config.REPLAY_BUFFER_BYTES);
+
+// Headless copy of the terminal, serialized for clients that need a full snapshot
+const screen = new ScreenModel({
+  cols: config.PTY_COLS,
+  rows: config.PTY_ROWS,
+  scrollback: config.SNAPSHOT_SCROLLBACK_LINES
+});
+
+// Rotating on-disk copy of all output, kept after the host exits for paged history
+let scrollbackLog = null;
+if (config.SCROLLBACK_LOG_ENABLED) {
+  try {
+    scrollbackLog = new ScrollbackLog({
+      sessionId,
+      maxFileBytes: config.SCROLLBACK_LOG_FILE_BYTES,
+      maxFiles: config.SCROLLBACK_LOG_MAX_FILES
+    });
+  } catch (err) {
+    console.error(`[Log] Scrollback log disabled: ${err.message}`);
+  }
+}
+
+// Optional asciicast recording of output and resizes (and input, with RECORD_INPUT)
+let recorder = null;
+if (config.RECORD_SESSIONS) {
+  try {
+    recorder = new AsciicastRecorder({ sessionId, cols: config.PTY_COLS, rows: config.PTY_ROWS, command: resolveClaudeCommand(), input: config.RECORD_INPUT });
+    console.log(`[Record] Recording to ${recorder.file}`);
+  } catch (err) {
+    console.error(`[Record] Recording disabled: ${err.message}`);
+  }
+}
 
 // Connected clients
 const clients = new Set();
 
-// Ensure registry directory exists
-mkdirSync(registryDir, { recursive: true });
+// Registry entry with preview and health info (heartbeat keeps listSessions from expiring it)
+const registration = new SessionRegistration({
+  id: sessionId,
+  endpoint,
+  cwd: workingDir,
+  getState: () => ({
+    pid: ptyProcess.pid,
+    clientCount: clients.size,
+    status: 'running'
+  })
+});
 
 console.log('═══════════════════════════════════════════════════════');
 console.log(` Claude Code Session Launcher`);
@@ -47,13 +101,13 @@ if (skipPermissions) {
 // Spawn Claude in PTY
 let ptyProcess;
 try {
-  ptyProcess = pty.spawn(config.CLAUDE_CMD, claudeArgs, {
+  ptyProcess = pty.spawn(resolveClaudeCommand(), claudeArgs, {
     name: 'xterm-256color',
     cols: config.PTY_COLS,
     rows: config.PTY_ROWS,
     cwd: workingDir,
     env: process.env,
-    useConpty: true
+    useConpty: process.platform === 'win32'
   });
   console.log(`[PTY] Spawned with PID: ${ptyProcess.pid}`);
 } catch (err) {
@@ -63,41 +117,75 @@ try {
 
 // Append to scrollback
 function appendScrollback(data) {
-  const lines = data.split('\n');
-  for (const line of lines) {
-    if (scrollbackLines.length >= MAX_SCROLLBACK) {
-      scrollbackLines.shift();
-    }
-    scrollbackLines.push(line);
-  }
+  scrollback.append(data);
+  screen.write(data);
+  if (scrollbackLog) scrollbackLog.append(data);
+  if (recorder) recorder.output(data);
+
+  // Update preview buffer
+  registration.recordOutput(data);
 }
 
 // Get full scrollback
 function getScrollback() {
-  return scrollbackLines.join('\n');
+  return scrollback.toString();
 }
 
 // Broadcast to all clients
 function broadcast(data) {
-  const message = JSON.stringify({ type: 'output', data });
+  const seq = replay.push(data);
+  const message = JSON.stringify({ type: 'output', seq, data });
   for (const client of clients) {
+    // Clients still waiting for sync get this chunk in their replay/snapshot instead
+    if (!client.synced) continue;
     try {
       client.write(message + '\n');
     } catch (err) {
       // Client disconnected
     }
   }
+  updatePtyFlow();
 }
 
-// Handle PTY output
+// Flow control: stop reading the PTY while a relay isn't draining its pipe, so a runaway
+// command blocks on its own output instead of piling it up here and on the relay
+let ptyPaused = false;
+
+function updatePtyFlow() {
+  if (!ptyProcess) return;
+  let backlog = 0;
+  for (const client of clients) {
+    backlog = Math.max(backlog, client.writableLength);
+  }
+  if (!ptyPaused && backlog > config.HOST_FLOW_HIGH_BYTES) {
+    ptyPaused = true;
+    ptyProcess.pause();
+    console.log(`[Flow] Relay ${backlog} bytes behind, pausing PTY`);
+  } else if (ptyPaused && backlog <= config.HOST_FLOW_LOW_BYTES) {
+    ptyPaused = false;
+    ptyProcess.resume();
+    console.log('[Flow] Relay caught up, resuming PTY');
+  }
+}
+
+// Handle PTY output (bursts are batched into one chunk per coalescing window)
+const output = new Coalescer({
+  windowMs: config.OUTPUT_COALESCE_MS,
+  maxBytes: config.OUTPUT_COALESCE_BYTES,
+  onFlush: (data) => {
+    appendScrollback(data);
+    broadcast(data);
+  }
+});
+
 ptyProcess.onData((data) => {
-  appendScrollback(data);
-  broadcast(data);
+  output.push(data);
 });
 
 // Handle PTY exit
 ptyProcess.onExit(({ exitCode, signal }) => {
   console.log(`[PTY] Exited with code ${exitCode}, signal ${signal}`);
+  output.flush();
 
   // Notify clients
   const message = JSON.stringify({ type: 'status', state: 'disconnected', reason: `Process exited (${exitCode})` });
@@ -112,17 +200,18 @@ ptyProcess.onExit(({ exitCode, signal }) => {
   process.exit(exitCode || 0);
 });
 
-// Create named pipe server
+// Create named pipe / Unix socket server
 const server = net.createServer((socket) => {
   console.log(`[Pipe] Client connected (total: ${clients.size + 1})`);
   clients.add(socket);
 
-  // Send scrollback on connect
-  const scrollback = getScrollback();
-  if (scrollback) {
-    socket.write(JSON.stringify({ type: 'scrollback', data: scrollback }) + '\n');
-  }
-  socket.write(JSON.stringify({ type: 'status', state: 'connected' }) + '\n');
+  // Announce protocol version first; relay's capabilities are unknown until its hello arrives
+  socket.peer = LEGACY_PEER;
+  socket.write(JSON.stringify(createHello('host', HOST_CAPABILITIES)) + '\n');
+
+  // Output starts once the relay says what it has already seen (older relays never do)
+  socket.synced = false;
+  socket.syncTimer = setTimeout(() => syncClient(socket, null, null), LEGACY_SYNC_DELAY_MS);
 
   // Buffer for incomplete messages
   let buffer = '';
@@ -139,47 +228,123 @@ const server = net.createServer((socket) => {
       if (!line.trim()) continue;
       try {
         const msg = JSON.parse(line);
-        handleMessage(msg);
+        handleMessage(msg, socket);
       } catch (err) {
         console.error(`[Pipe] Parse error: ${err.message}`);
       }
     }
   });
 
+  // Relay read everything written so far
+  socket.on('drain', updatePtyFlow);
+
   socket.on('close', () => {
+    clearTimeout(socket.syncTimer);
     clients.delete(socket);
+    updatePtyFlow();
     console.log(`[Pipe] Client disconnected (remaining: ${clients.size})`);
   });
 
   socket.on('error', (err) => {
     clients.delete(socket);
+    updatePtyFlow();
     console.error(`[Pipe] Socket error: ${err.message}`);
   });
 });
 
+// Bring a client up to date: replay the chunks after lastSeq, or send a screen snapshot
+// when that range has left the replay buffer (or belongs to a previous host)
+// A `ref` (multiplexing relays) syncs one of the relay's clients: replies carry the ref
+// and live output keeps flowing, since the relay holds it back for that client alone
+function syncClient(socket, lastSeq, epoch, ref = null) {
+  clearTimeout(socket.syncTimer);
+  const send = (msg) => socket.write(JSON.stringify(ref === null ? msg : { ...msg, ref }) + '\n');
+
+  const missed = replay.since(lastSeq, epoch);
+  if (missed) {
+    sendChunks(send, missed);
+    console.log(`[Pipe] Resumed client after seq ${lastSeq} (${missed.length} chunks replayed)`);
+    finishSync(socket, send);
+    return;
+  }
+
+  // Hold live output while the snapshot is taken; chunks after its seq are replayed
+  if (ref === null) socket.synced = false;
+  const seq = replay.lastSeq;
+  screen.snapshot((err, snapshot) => {
+    if (socket.destroyed) return;
+    if (err) {
+      console.error(`[Screen] Snapshot failed, sending raw scrollback: ${err.message}`);
+      const scrollback = getScrollback();
+      if (scrollback) {
+        send({ type: 'scrollback', data: scrollback, seq: replay.lastSeq });
+      }
+    } else {
+      if (snapshot) {
+        send({ type: 'scrollback', data: snapshot, seq, cols: screen.cols, rows: screen.rows });
+      }
+      sendChunks(send, replay.since(seq, replay.epoch) || []);
+    }
+    finishSync(socket, send);
+  });
+}
+
+function sendChunks(send, chunks) {
+  for (const chunk of chunks) {
+    send({ type: 'output', seq: chunk.seq, data: chunk.data });
+  }
+}
+
+function finishSync(socket, send) {
+  socket.synced = true;
+  send({ type: 'status', state: 'connected', epoch: replay.epoch, seq: replay.lastSeq });
+}
+
 // Handle messages from relay
-function handleMessage(msg) {
+function handleMessage(msg, socket) {
   switch (msg.type) {
+    case 'hello':
+      socket.peer = negotiate(HOST_CAPABILITIES, msg);
+      if (!socket.peer.capabilities.includes('seq')) {
+        syncClient(socket, null, null); // Relay won't send a sync
+      }
+      console.log(`[Pipe] Relay speaks protocol v${msg.protocol} (shared: ${socket.peer.capabilities.join(', ') || 'none'})`);
+      break;
+
+    case 'sync':
+      // Relay (re)attached a client - resume after its last seen sequence
+      syncClient(socket, msg.lastSeq, msg.epoch, typeof msg.ref === 'string' ? msg.ref : null);
+      break;
+
+    case 'ping':
+      // Liveness check from relay - echo its timestamp so it can measure latency
+      socket.write(JSON.stringify({ type: 'pong', ts: msg.ts }) + '\n');
+      break;
+
     case 'input':
       if (typeof msg.data === 'string') {
         ptyProcess.write(msg.data);
+        if (recorder) recorder.input(msg.data);
       }
       break;
 
     case 'control':
-      const controlKeys = {
-        'CTRL_C': '\x03',
-        'CTRL_D': '\x04',
-        'ESC': '\x1b'
-      };
-      if (controlKeys[msg.key]) {
-        ptyProcess.write(controlKeys[msg.key]);
+    case 'key': {
+      // Chords are encoded here, where the screen model knows the cursor-key mode
+      const chord = msg.type === 'control' ? CONTROL_KEY_CHORDS[msg.key] : msg.key;
+      const sequence = encodeKey(chord, { applicationCursor: screen.applicationCursor });
+      if (sequence) {
+        ptyProcess.write(sequence);
+        if (recorder) recorder.input(sequence);
       }
       break;
+    }
 
     case 'resize':
       if (typeof msg.cols === 'number' && typeof msg.rows === 'number') {
         ptyProcess.resize(msg.cols, msg.rows);
+        screen.resize(msg.cols, msg.rows);
+        if (recorder) recorder.resize(msg.cols, msg.rows);
         console.log(`[PTY] Resized to ${msg.cols}x${msg.rows}`);
       }
       break;
@@ -189,21 +354,15 @@ function handleMessage(msg) {
   }
 }
 
-// Start listening on named pipe
+// Start listening on named pipe / Unix socket
+prepareEndpoint(endpoint);
 server.listen(pipeName, () => {
   console.log(`[Pipe] Listening on ${pipeName}`);
 
-  // Register session
-  const sessionInfo = {
-    id: sessionId,
-    pipe: pipeName,
-    cwd: workingDir,
-    pid: ptyProcess.pid,
-    started: Date.now()
-  };
-
-  writeFileSync(registryFile, JSON.stringify(sessionInfo, null, 2));
+  // Register session and start periodic registry updates (for preview + health)
+  registration.start();
   console.log(`[Registry] Session registered`);
+  console.log(`[Registry] Periodic updates started (every ${REGISTRY_UPDATE_INTERVAL / 1000}s)`);
 });
 
 server.on('error', (err) => {
@@ -215,14 +374,11 @@ server.on('error', (err) => {
 // Cleanup function
 function cleanup() {
   console.log('[Cleanup] Removing session from registry...');
-  try {
-    if (existsSync(registryFile)) {
-      unlinkSync(registryFile);
-    }
-  } catch (err) {
-    console.error(`[Cleanup] Error: ${err.message}`);
-  }
+  registration.remove();
+  if (scrollbackLog) scrollbackLog.close();
+  if (recorder) recorder.close();
   server.close();
+  cleanupEndpoint(endpoint);
 }
 
 // Graceful shutdown
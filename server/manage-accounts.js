@@ -0,0 +1,177 @@
+// Account management for the relay (accounts.json, see accounts.js)
+//
+//   node manage-accounts.js list
+//   node manage-accounts.js add <name> <viewer|operator|admin>   (prompts for a password)
+//   node manage-accounts.js add <name> <role> <email>          (Cloudflare Access sign-in only, no password)
+//   node manage-accounts.js email <name> <email|->              (link a Cloudflare Access identity, - unlinks)
+//   node manage-accounts.js passwd <name>
+//   node manage-accounts.js role <name> <viewer|operator|admin>
+//   node manage-accounts.js remove <name>
+//   node manage-accounts.js reset-2fa [name]   (turns off two-factor sign-in; no name: the shared token)
+//
+// Passwords are read from the terminal without echo, or from stdin when it is piped.
+
+import { ACCOUNTS_FILE, ROLES, isRole, isValidUsername, hashPassword, loadAccounts, saveAccounts, getTotp, setTotp } from './accounts.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// Read one line without echoing it (or the first line of piped stdin)
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    let value = '';
+    if (!stdin.isTTY) {
+      stdin.setEncoding('utf8');
+      stdin.on('data', chunk => { value += chunk; });
+      stdin.on('end', () => resolve(value.split(/\r?\n/)[0]));
+      return;
+    }
+    process.stdout.write(prompt);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.off('data', onData);
+          process.stdout.write('\n');
+          resolve(value);
+          return;
+        }
+        if (ch === '\x03') {
+          process.stdout.write('\n');
+          process.exit(130);
+        }
+        value = ch === '\x7f' || ch === '\b' ? value.slice(0, -1) : value + ch;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+async function promptNewPassword() {
+  const password = await readPassword('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    fail(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (process.stdin.isTTY && await readPassword('Repeat password: ') !== password) {
+    fail('Passwords do not match');
+  }
+  return hashPassword(password);
+}
+
+function requireRole(role) {
+  if (!isRole(role)) {
+    fail(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+// A valid address not already linked to another account
+function requireEmail(accounts, name, email) {
+  if (!EMAIL.test(email || '')) {
+    fail('Not an email address');
+  }
+  const owner = Object.keys(accounts.users).find(n => n !== name && accounts.users[n].email?.toLowerCase() === email.toLowerCase());
+  if (owner) {
+    fail(`${email} is already linked to "${owner}"`);
+  }
+}
+
+function requireUser(accounts, name) {
+  if (!Object.hasOwn(accounts.users, name)) {
+    fail(`No account named "${name}"`);
+  }
+}
+
+const [command, name, role, email] = process.argv.slice(2);
+const accounts = loadAccounts();
+
+switch (command) {
+  case 'list': {
+    const names = Object.keys(accounts.users);
+    if (names.length === 0) {
+      console.log(`No accounts in ${ACCOUNTS_FILE}`);
+    }
+    for (const user of names) {
+      const { role: userRole, email: userEmail, totp } = accounts.users[user];
+      console.log(`${user.padEnd(24)} ${userRole}${userEmail ? ` <${userEmail}>` : ''}${totp ? ' (2FA)' : ''}`);
+    }
+    break;
+  }
+
+  case 'add':
+    if (!isValidUsername(name)) {
+      fail('Names are 1-64 letters, digits, or . _ @ -');
+    }
+    requireRole(role);
+    if (Object.hasOwn(accounts.users, name)) {
+      fail(`Account "${name}" already exists`);
+    }
+    if (email) {
+      requireEmail(accounts, name, email);
+      accounts.users[name] = { role, email, created: new Date().toISOString() };
+    } else {
+      accounts.users[name] = { role, password: await promptNewPassword(), created: new Date().toISOString() };
+    }
+    saveAccounts(accounts);
+    console.log(`Added ${name} (${role})`);
+    break;
+
+  case 'email':
+    requireUser(accounts, name);
+    if (role === '-') {
+      delete accounts.users[name].email;
+      saveAccounts(accounts);
+      console.log(`Unlinked ${name} from Cloudflare Access`);
+      break;
+    }
+    requireEmail(accounts, name, role);
+    accounts.users[name].email = role;
+    saveAccounts(accounts);
+    console.log(`${name} signs in through Cloudflare Access as ${role}`);
+    break;
+
+  case 'passwd':
+    requireUser(accounts, name);
+    accounts.users[name].password = await promptNewPassword();
+    saveAccounts(accounts);
+    console.log(`Password changed for ${name} (browsers and devices signed in to it are signed out)`);
+    break;
+
+  case 'role':
+    requireUser(accounts, name);
+    requireRole(role);
+    accounts.users[name].role = role;
+    saveAccounts(accounts);
+    console.log(`${name} is now ${role}`);
+    break;
+
+  case 'remove':
+    requireUser(accounts, name);
+    delete accounts.users[name];
+    saveAccounts(accounts);
+    console.log(`Removed ${name}`);
+    break;
+
+  case 'reset-2fa':
+    if (name) {
+      requireUser(accounts, name);
+    }
+    if (!getTotp(name ?? null)) {
+      fail(`Two-factor sign-in is not on for ${name || 'the shared token'}`);
+    }
+    setTotp(name ?? null, null);
+    console.log(`Two-factor sign-in turned off for ${name || 'the shared token'}`);
+    break;
+
+  default:
+    fail('Usage: node manage-accounts.js list | add <name> <role> [email] | email <name> <email|-> | passwd <name> | role <name> <role> | remove <name> | reset-2fa [name]');
+}
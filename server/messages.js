@@ -0,0 +1,141 @@
+// Client message schemas, request acknowledgements and structured errors
+//
+// Any client message may carry an `id` (string or number). The relay answers a
+// request that has one with either
+//   { type: 'ack', id, request, ...result }
+//   { type: 'error', id, request, code, message, ...details }
+// Clients without the 'ack' capability get the older per-request `*_result` shapes.
+
+// Stable error codes (clients may switch on these)
+export const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',           // Not JSON / not an object
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',         // No schema for msg.type
+  INVALID_FIELD: 'INVALID_FIELD',       // Field missing or wrong type
+  RATE_LIMITED: 'RATE_LIMITED',
+  FORBIDDEN: 'FORBIDDEN',               // Account role does not allow this request
+  NO_SESSION: 'NO_SESSION',             // Request needs a session but none is active
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  INVALID_NAME: 'INVALID_NAME',
+  FOLDER_NOT_FOUND: 'FOLDER_NOT_FOUND',
+  UPLOADS_DISABLED: 'UPLOADS_DISABLED',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  IO_ERROR: 'IO_ERROR',                 // Filesystem operation failed
+  SPAWN_FAILED: 'SPAWN_FAILED',         // Could not start a launcher
+  CONNECT_FAILED: 'CONNECT_FAILED',     // Could not reach a session host
+  CONNECT_TIMEOUT: 'CONNECT_TIMEOUT',
+  HOST_ERROR: 'HOST_ERROR',             // Host pipe errored or overflowed
+  INTERNAL: 'INTERNAL'
+};
+
+// Error carrying a stable code and extra reply fields
+export class RelayError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'RelayError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Field specs: '<type>' is required, '<type>?' is optional
+// Types: string, integer, boolean, array
+export const CLIENT_MESSAGE_SCHEMAS = {
+  hello: { protocol: 'integer?', role: 'string?', capabilities: 'array?' },
+  ping: {},
+  list_sessions: {},
+  list_projects: {},
+  list_folders: {},
+  list_recordings: {},
+  connect_session: { sessionId: 'string', lastSeq: 'integer?', epoch: 'string?' },
+  set_visible: { sessionIds: 'array' },
+  output_ack: { acks: 'array' },
+  input: { sessionId: 'string?', data: 'string' },
+  control: { key: 'string' },
+  key: { sessionId: 'string?', key: 'string' },
+  resize: { cols: 'integer', rows: 'integer' },
+  load_history: { sessionId: 'string', before: 'integer?', limit: 'integer?' },
+  upload_file: { sessionId: 'string?', filename: 'string', data: 'string', size: 'integer?' },
+  create_session: { projectName: 'string' },
+  start_folder_session: { folderName: 'string', skipPermissions: 'boolean?' }
+};
+
+// Least role allowed to send each type (see accounts.js); anything unlisted is 'viewer'
+export const MESSAGE_ROLES = {
+  input: 'operator',
+  control: 'operator',
+  key: 'operator',
+  resize: 'operator',       // Resizing the PTY changes the view for everyone watching
+  upload_file: 'operator',
+  list_recordings: 'operator', // Recordings may include typed input (RECORD_INPUT)
+  create_session: 'admin',
+  start_folder_session: 'admin'
+};
+
+const MAX_ID_LENGTH = 64;
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    default: return false;
+  }
+}
+
+// Older per-request reply types, still sent to clients without the 'ack' capability
+export const LEGACY_RESULT_TYPES = {
+  upload_file: 'upload_result',
+  create_session: 'create_session_result',
+  start_folder_session: 'start_folder_session_result'
+};
+
+// Decode a raw client frame into an object, throwing RelayError on failure
+export function decodeClientMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (err) {
+    throw new RelayError(ERROR_CODES.BAD_REQUEST, 'Message is not valid JSON');
+  }
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+    throw new RelayError(ERROR_CODES.BAD_REQUEST, 'Message must be a JSON object');
+  }
+  return msg;
+}
+
+// Validate a parsed message against its declared schema
+export function validateClientMessage(msg) {
+  if (msg.id !== undefined) {
+    const validId = (typeof msg.id === 'string' && msg.id.length > 0 && msg.id.length <= MAX_ID_LENGTH)
+      || Number.isInteger(msg.id);
+    if (!validId) {
+      delete msg.id; // Never echo an unusable id back
+      throw new RelayError(ERROR_CODES.INVALID_FIELD, 'Invalid request id', { field: 'id' });
+    }
+  }
+
+  const schema = typeof msg.type === 'string' ? CLIENT_MESSAGE_SCHEMAS[msg.type] : undefined;
+  if (!schema) {
+    throw new RelayError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${msg.type}`);
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      throw new RelayError(ERROR_CODES.INVALID_FIELD, `Missing field "${field}"`, { field });
+    }
+    if (!matchesType(value, type)) {
+      throw new RelayError(ERROR_CODES.INVALID_FIELD, `Field "${field}" must be ${type}`, { field });
+    }
+  }
+}
+
+// Convert any thrown value into a RelayError
+export function toRelayError(err) {
+  if (err instanceof RelayError) return err;
+  return new RelayError(ERROR_CODES.INTERNAL, err?.message || 'Internal error');
+}
@@ -0,0 +1,140 @@
+// Local stand-in OpenID Connect provider, to try the relay's OIDC sign-in without a real one
+//
+//   node oidc-dev-provider.js [port] [email] [group,group...]
+//
+// Serves discovery, a login page that signs in as the given user straight away, the token
+// endpoint (checking the PKCE verifier) and its signing keys, all over plain HTTP on
+// localhost. Then start the relay with:
+//
+//   OIDC_ISSUER=http://localhost:4400 OIDC_CLIENT_ID=cnm-dev RELAY_PUBLIC_URL=https://localhost:3001/
+//   OIDC_GROUP_ROLES=cnm-admins=admin
+//
+// Keys are generated at startup, so tokens from an earlier run no longer verify.
+
+import { createServer } from 'http';
+import crypto from 'crypto';
+
+const [portArg = '4400', email = 'dev@example.com', groupList = 'cnm-admins'] = process.argv.slice(2);
+const port = parseInt(portArg);
+const issuer = `http://localhost:${port}`;
+const groups = groupList.split(',').filter(Boolean);
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code -> { clientId, redirectUri, challenge, nonce, expires }
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function signIdToken(clientId, nonce) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'RS256', kid, typ: 'JWT' });
+  const claims = encode({
+    iss: issuer,
+    sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 16),
+    aud: clientId,
+    iat: now,
+    exp: now + 300,
+    nonce,
+    email,
+    email_verified: true,
+    preferred_username: email.split('@')[0],
+    groups
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), privateKey).toString('base64url');
+  return `${header}.${claims}.${signature}`;
+}
+
+// The authorization request, answered at once with a code for the configured user
+function handleAuthorize(url, res) {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+  if (params.get('response_type') !== 'code' || !params.get('client_id') || !redirectUri) {
+    sendJson(res, 400, { error: 'invalid_request' });
+    return;
+  }
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    sendJson(res, 400, { error: 'invalid_request', error_description: 'PKCE (S256) required' });
+    return;
+  }
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: params.get('client_id'),
+    redirectUri,
+    challenge: params.get('code_challenge'),
+    nonce: params.get('nonce'),
+    expires: Date.now() + 60 * 1000
+  });
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  target.searchParams.set('state', params.get('state') || '');
+  console.log(`[Provider] Signed in ${email} for ${params.get('client_id')}`);
+  res.writeHead(302, { 'Location': target.toString() });
+  res.end();
+}
+
+function handleToken(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const form = new URLSearchParams(body);
+    let clientId = form.get('client_id');
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (basic) {
+      clientId = decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0]);
+    }
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const verifier = form.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (form.get('grant_type') !== 'authorization_code' || !grant || grant.expires < Date.now()
+      || grant.clientId !== clientId || grant.redirectUri !== form.get('redirect_uri') || grant.challenge !== challenge) {
+      sendJson(res, 400, { error: 'invalid_grant' });
+      return;
+    }
+    sendJson(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken(clientId, grant.nonce)
+    });
+  });
+}
+
+createServer((req, res) => {
+  const url = new URL(req.url, issuer);
+  switch (url.pathname) {
+    case '/.well-known/openid-configuration':
+      sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+      break;
+    case '/authorize':
+      handleAuthorize(url, res);
+      break;
+    case '/token':
+      if (req.method === 'POST') {
+        handleToken(req, res);
+        break;
+      }
+      sendJson(res, 405, { error: 'invalid_request' });
+      break;
+    case '/jwks':
+      sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+      break;
+    default:
+      sendJson(res, 404, { error: 'not_found' });
+  }
+}).listen(port, '127.0.0.1', () => {
+  console.log(`Stand-in OIDC provider at ${issuer}, signing in ${email} (groups: ${groups.join(', ') || 'none'})`);
+});
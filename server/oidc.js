@@ -0,0 +1,171 @@
+// OpenID Connect sign-in - the authorization code flow with PKCE against any provider that
+// publishes discovery metadata (Keycloak, Authentik, Authelia, Google, ...)
+//
+//   GET auth/oidc/login     -> the provider's login page (state, nonce and PKCE challenge)
+//   GET auth/oidc/callback  -> code exchanged for an ID token, checked, mapped to a role
+//
+// The ID token's signature (provider JWKS), issuer, audience, expiry and nonce are checked
+// before anything in it is trusted. The result is an ordinary relay_session, so the rest of
+// the relay treats it like any other sign-in. oidc-dev-provider.js is a local stand-in
+// provider for trying it out.
+
+import crypto from 'crypto';
+import config from './config.js';
+import { ROLES, isRole, getAccountByEmail } from './accounts.js';
+import { KeySet, decodeJwt, verifyJwtSignature, checkClaims } from './jwt.js';
+
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_PENDING_LOGINS = 1000;
+
+export function oidcEnabled() {
+  return !!(config.OIDC_ISSUER && config.OIDC_CLIENT_ID);
+}
+
+export function redirectUri() {
+  const base = config.PUBLIC_URL.endsWith('/') ? config.PUBLIC_URL : `${config.PUBLIC_URL}/`;
+  return `${base}auth/oidc/callback`;
+}
+
+let provider = null; // Promise of { metadata, keySet }
+
+// Discovery document and signing keys, fetched once (again after a failure)
+function loadProvider() {
+  if (!provider) {
+    const issuer = config.OIDC_ISSUER.replace(/\/+$/, '');
+    provider = fetch(`${issuer}/.well-known/openid-configuration`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+      .then(res => {
+        if (!res.ok) throw new Error(`discovery failed (HTTP ${res.status})`);
+        return res.json();
+      })
+      .then(metadata => {
+        if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+          throw new Error(`discovery names issuer ${metadata.issuer}, expected ${issuer}`);
+        }
+        const keySet = new KeySet(metadata.jwks_uri, '[OIDC]');
+        console.log(`[OIDC] Using ${metadata.issuer}`);
+        return keySet.refresh().then(() => ({ metadata, keySet }));
+      })
+      .catch(err => {
+        provider = null;
+        throw err;
+      });
+  }
+  return provider;
+}
+
+// Fetch the provider's metadata ahead of the first sign-in
+export function warmUp() {
+  loadProvider().catch(err => console.error(`[OIDC] ${err.message}`));
+}
+
+// Sign-ins sent to the provider and not back yet
+const pendingLogins = new Map(); // state -> { verifier, nonce, expires }
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Where to send the browser to sign in; `state` also goes in a cookie to tie the callback
+// to this browser
+export async function startOidcLogin() {
+  const { metadata } = await loadProvider();
+  const now = Date.now();
+  for (const [key, pending] of pendingLogins) {
+    if (pending.expires <= now) pendingLogins.delete(key);
+  }
+  // Sign-ins started and never finished; past the cap the oldest is given up
+  if (pendingLogins.size >= MAX_PENDING_LOGINS) {
+    pendingLogins.delete(pendingLogins.keys().next().value);
+  }
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const verifier = randomToken();
+  pendingLogins.set(state, { verifier, nonce, expires: now + LOGIN_TIMEOUT_MS });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri(),
+    scope: config.OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  });
+  return { url: url.toString(), state };
+}
+
+// Exchange the callback's code for verified ID token claims; throws with a reason to show
+export async function finishOidcLogin({ code, state, cookieState }) {
+  const pending = typeof state === 'string' ? pendingLogins.get(state) : null;
+  pendingLogins.delete(state);
+  if (!pending || pending.expires <= Date.now() || state !== cookieState) {
+    throw new Error('Sign-in expired or started in another browser, try again');
+  }
+  if (typeof code !== 'string' || !code) {
+    throw new Error('The provider sent no authorization code');
+  }
+
+  const { metadata, keySet } = await loadProvider();
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+  const form = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri(),
+    code_verifier: pending.verifier
+  };
+  if (config.OIDC_CLIENT_SECRET) {
+    // client_secret_basic, the spec's default client authentication
+    const credentials = `${encodeURIComponent(config.OIDC_CLIENT_ID)}:${encodeURIComponent(config.OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.client_id = config.OIDC_CLIENT_ID;
+  }
+
+  const res = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams(form),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const tokens = await res.json().catch(() => ({}));
+  if (!res.ok || typeof tokens.id_token !== 'string') {
+    console.warn(`[OIDC] Token exchange failed: HTTP ${res.status} ${tokens.error || ''} ${tokens.error_description || ''}`);
+    throw new Error('The provider did not accept the sign-in');
+  }
+
+  const { header, error: malformed } = decodeJwt(tokens.id_token);
+  const { claims, error } = malformed ? { error: malformed } : verifyJwtSignature(tokens.id_token, await keySet.load(header.kid));
+  const invalid = error
+    || checkClaims(claims, { issuer: metadata.issuer, audience: config.OIDC_CLIENT_ID })
+    || (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.OIDC_CLIENT_ID && 'wrong authorized party')
+    || (typeof claims.iat !== 'number' && 'no issue time')
+    || (claims.nonce !== pending.nonce && 'nonce mismatch')
+    || (typeof claims.sub !== 'string' && 'no subject');
+  if (invalid) {
+    console.warn(`[OIDC] Rejected ID token: ${invalid}`);
+    throw new Error('The provider\'s answer could not be verified');
+  }
+  return claims;
+}
+
+// Who the claims sign in as: the account with that email, else the highest role the user's
+// groups map to, else the default role; null if none applies. The email only counts when
+// the provider says it verified it - anyone can type an admin's address into a new profile.
+export function oidcIdentity(claims) {
+  const identity = claims.email || claims.preferred_username || claims.sub;
+  const account = claims.email_verified === true ? getAccountByEmail(claims.email) : null;
+  if (account) {
+    return { user: account.name, role: null, identity };
+  }
+
+  const groups = [].concat(claims[config.OIDC_GROUPS_CLAIM] ?? []);
+  const groupRoles = groups.map(group => config.OIDC_GROUP_ROLES[group]).filter(isRole);
+  const role = groupRoles.length > 0
+    ? groupRoles.reduce((best, r) => (ROLES.indexOf(r) > ROLES.indexOf(best) ? r : best))
+    : (isRole(config.OIDC_DEFAULT_ROLE) ? config.OIDC_DEFAULT_ROLE : null);
+  return role ? { user: null, role, identity } : null;
+}
@@ -0,0 +1,30 @@
+// Pair a new device from the relay machine (no browser sign-in needed)
+//
+//   node pair-device.js [viewer|operator|admin] [label]
+//
+// Prints a one-time code and a QR code; scanning it (or entering the code on the sign-in
+// page) signs the phone in with the given role. The running relay picks the code up
+// from pairing-codes.json, see pairing.js.
+
+import config from './config.js';
+import { ROLES, isRole } from './accounts.js';
+import { createPairingCode, qrCode } from './pairing.js';
+
+const [role = 'operator', ...labelWords] = process.argv.slice(2);
+if (!isRole(role)) {
+  console.error(`Role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const { code, url, expires } = createPairingCode({
+  role,
+  label: labelWords.join(' ') || null,
+  createdBy: 'pair-device.js'
+});
+
+console.log('');
+console.log(await qrCode(url, 'terminal'));
+console.log(`    Pairing code:  ${code}  (${role})`);
+console.log(`    Or open:       ${url}`);
+console.log(`    Expires:       ${new Date(expires).toLocaleTimeString()} (${Math.round(config.PAIRING_CODE_TTL_MS / 60000)} min, one use)`);
+console.log('');
@@ -0,0 +1,94 @@
+// Device pairing - short-lived one-time codes a new phone redeems for its own sign-in
+//
+// Codes are created by an admin on the admin page or on the relay machine with
+// pair-device.js, and kept hashed in ~/.claude-relay/pairing-codes.json so both can add
+// them while the relay is running. Redeeming one (POST /auth/pair) deletes it and starts
+// a device session with the code's role, revocable on its own from the admin page.
+// The QR code encodes the sign-in page with the code in the URL fragment, which browsers
+// never send to the server, so it stays out of request logs.
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { homedir } from 'os';
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import config from './config.js';
+
+export const PAIRING_FILE = join(homedir(), '.claude-relay', 'pairing-codes.json');
+
+// No 0/O, 1/I/L, so codes read back cleanly off a screen
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Uppercase with separators removed ('abcd-2345' -> 'ABCD2345')
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^0-9A-Z]/g, '') : '';
+}
+
+// Grouped for reading aloud ('ABCD-2345')
+export function formatCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function readCodes() {
+  try {
+    return JSON.parse(readFileSync(PAIRING_FILE, 'utf8')).codes || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Pairing] Could not read ${PAIRING_FILE}: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+// Write the codes still valid (owner-only, replaced atomically)
+function writeCodes(codes) {
+  const now = Date.now();
+  const live = Object.fromEntries(Object.entries(codes).filter(([, entry]) => entry.expires > now));
+  mkdirSync(dirname(PAIRING_FILE), { recursive: true, mode: 0o700 });
+  const tmp = `${PAIRING_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ codes: live }, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmp, PAIRING_FILE);
+}
+
+// New code for a device that will sign in with `role` (as `user`, if an account paired it)
+export function createPairingCode({ role, user = null, label = null, createdBy, ttlMs = config.PAIRING_CODE_TTL_MS }) {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  const expires = Date.now() + ttlMs;
+  const codes = readCodes();
+  codes[hashCode(code)] = { role, user, label, createdBy, created: Date.now(), expires };
+  writeCodes(codes);
+  return { code: formatCode(code), expires, url: pairingUrl(code) };
+}
+
+// Use up a code; returns its entry, or null if unknown or expired
+export function redeemPairingCode(code) {
+  const normalized = normalizeCode(code);
+  if (normalized.length !== CODE_LENGTH) return null;
+  const codes = readCodes();
+  const hash = hashCode(normalized);
+  const entry = codes[hash];
+  if (!entry) return null;
+  delete codes[hash];
+  writeCodes(codes);
+  return entry.expires > Date.now() ? entry : null;
+}
+
+// Sign-in page link that redeems the code when opened
+export function pairingUrl(code) {
+  const base = config.PUBLIC_URL.endsWith('/') ? config.PUBLIC_URL : `${config.PUBLIC_URL}/`;
+  return `${base}login.html#pair=${normalizeCode(code)}`;
+}
+
+// QR code for a link (pairing, or an authenticator secret): 'svg' markup for the admin
+// page, or 'terminal' text
+export function qrCode(url, type = 'svg') {
+  return QRCode.toString(url, type === 'terminal' ? { type: 'terminal', small: true } : { type: 'svg', margin: 2 });
+}
@@ -0,0 +1,40 @@
+// Wire protocol - version and capability negotiation shared by relay and hosts
+//
+// Both hops (browser <-> relay, relay <-> host) open with a hello exchange:
+//   { type: 'hello', protocol: <version>, role: 'relay' | 'host' | 'client', capabilities: [...] }
+// Peers that never send a hello are treated as legacy (protocol 0, no capabilities),
+// so features gated on a capability are simply skipped for them.
+
+export const PROTOCOL_VERSION = 2;
+
+// Capabilities each side implements
+export const HOST_CAPABILITIES = ['ping', 'seq', 'multiplex', 'keys'];
+export const RELAY_CAPABILITIES = ['ping', 'latency', 'ack', 'seq', 'history', 'multiplex', 'visibility', 'binary', 'flow', 'keys'];
+
+// Hosts wait for the relay's `sync` before sending scrollback; relays predating it
+// never send one, so hosts fall back to a full snapshot after this delay
+export const LEGACY_SYNC_DELAY_MS = 1000;
+
+// Peer info assumed until (or unless) a hello arrives
+export const LEGACY_PEER = Object.freeze({ protocol: 0, role: null, capabilities: [] });
+
+// Build a hello message for this side of the hop
+export function createHello(role, capabilities) {
+  return { type: 'hello', protocol: PROTOCOL_VERSION, role, capabilities };
+}
+
+// Negotiate with a peer's hello: lowest common version, shared capabilities only
+export function negotiate(localCapabilities, hello) {
+  const protocol = Number.isInteger(hello?.protocol) && hello.protocol > 0 ? hello.protocol : 0;
+  const remote = Array.isArray(hello?.capabilities) ? hello.capabilities : [];
+  return {
+    protocol: Math.min(protocol, PROTOCOL_VERSION),
+    role: typeof hello?.role === 'string' ? hello.role : null,
+    capabilities: localCapabilities.filter(c => remote.includes(c))
+  };
+}
+
+// Check a negotiated peer for a capability
+export function hasCapability(peer, capability) {
+  return !!peer && peer.capabilities.includes(capability);
+}
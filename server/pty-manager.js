@@ -1,22 +1,25 @@
 import pty from 'node-pty';
 import config from './config.js';
+import { ScrollbackBuffer } from './scrollback-buffer.js';
 import { homedir } from 'os';
+import { encodeKey, CONTROL_KEY_CHORDS } from './keys.js';
+import { resolveClaudeCommand } from './claude-command.js';
 
-// Control key mappings
-const CONTROL_KEYS = {
-  'CTRL_C': '\x03',
-  'CTRL_D': '\x04',
-  'ESC': '\x1b'
-};
+// DECCKM set/reset in PTY output (no screen model here, so the mode is tracked directly)
+const CURSOR_MODE_PATTERN = /\x1b\[\?1([hl])/g;
 
 export class PtyManager {
   constructor() {
     this.ptyProcess = null;
-    this.scrollback = [];
-    this.maxScrollback = config.SCROLLBACK_LINES;
+    this.scrollback = new ScrollbackBuffer({
+      maxBytes: config.SCROLLBACK_BYTES,
+      maxLines: config.SCROLLBACK_LINES,
+      compact: config.SCROLLBACK_COMPACT
+    });
     this.onData = null;
     this.onExit = null;
     this.isAlive = false;
+    this.applicationCursor = false;
   }
 
   // Spawn Claude Code in a PTY
@@ -25,7 +28,7 @@ export class PtyManager {
       throw new Error('PTY already spawned');
     }
 
-    const shell = config.CLAUDE_CMD;
+    const shell = resolveClaudeCommand();
     const args = config.CLAUDE_ARGS;
     const cwd = config.WORKING_DIR || homedir();
 
@@ -43,6 +46,9 @@ export class PtyManager {
     this.isAlive = true;
 
     this.ptyProcess.onData((data) => {
+      for (const match of data.matchAll(CURSOR_MODE_PATTERN)) {
+        this.applicationCursor = match[1] === 'h';
+      }
       this.appendToScrollback(data);
       if (this.onData) {
         this.onData(data);
@@ -63,19 +69,12 @@ export class PtyManager {
 
   // Append data to scrollback buffer
   appendToScrollback(data) {
-    // Split by newlines and add to buffer
-    const lines = data.split('\n');
-    for (const line of lines) {
-      if (this.scrollback.length >= this.maxScrollback) {
-        this.scrollback.shift(); // Remove oldest line
-      }
-      this.scrollback.push(line);
-    }
+    this.scrollback.append(data);
   }
 
   // Get full scrollback as string
   getScrollback() {
-    return this.scrollback.join('\n');
+    return this.scrollback.toString();
   }
 
   // Write input to PTY
@@ -85,12 +84,17 @@ export class PtyManager {
     }
   }
 
-  // Send control key
+  // Send control key (older CTRL_C / CTRL_D / ESC names)
   sendControl(key) {
-    const sequence = CONTROL_KEYS[key];
+    this.sendKey(CONTROL_KEY_CHORDS[key]);
+  }
+
+  // Send a key chord such as 'Ctrl+C' or 'Shift+Tab'
+  sendKey(chord) {
+    const sequence = encodeKey(chord, { applicationCursor: this.applicationCursor });
     if (sequence && this.ptyProcess && this.isAlive) {
       this.ptyProcess.write(sequence);
-      console.log(`[PTY] Sent control key: ${key}`);
+      console.log(`[PTY] Sent key: ${chord}`);
     }
   }
 
@@ -0,0 +1,49 @@
+// Rate limiting - a token bucket per message type for each WebSocket connection
+// A bucket holds up to `burst` tokens and refills at `perSecond`; every message of its
+// type takes one. Short bursts (a paste, a quick run of keys) pass while the bucket has
+// tokens, and only a sustained flood is cut down to the refill rate. Types without
+// their own limits share the 'default' bucket.
+
+export class TokenBucket {
+  constructor({ burst, perSecond }) {
+    this.burst = burst;
+    this.perSecond = perSecond;
+    this.tokens = burst;
+    this.updated = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updated) / 1000 * this.perSecond);
+    this.updated = now;
+  }
+
+  // Take a token; returns 0 if one was available, otherwise ms until the next one
+  take() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.perSecond * 1000);
+  }
+}
+
+export class MessageRateLimiter {
+  // limits: { default: { burst, perSecond }, [type]: { burst, perSecond } }
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map(); // bucket name -> TokenBucket
+  }
+
+  // Charge one message of `type`; returns 0 when allowed, otherwise ms to wait
+  take(type) {
+    const name = Object.hasOwn(this.limits, type) ? type : 'default';
+    let bucket = this.buckets.get(name);
+    if (!bucket) {
+      bucket = new TokenBucket(this.limits[name]);
+      this.buckets.set(name, bucket);
+    }
+    return bucket.take();
+  }
+}
@@ -0,0 +1,139 @@
+// Session recorder - asciicast v2 files (https://docs.asciinema.org/manual/asciicast/v2/)
+// Hosts write one recording per run: a JSON header line, then one event per line,
+//   [elapsedSeconds, 'o', output] | [elapsedSeconds, 'i', input] | [elapsedSeconds, 'r', 'COLSxROWS']
+// The relay lists and serves them for download and in-browser playback. Input events are
+// only written with `input: true` (RECORD_INPUT): keystrokes include any password typed at a
+// prompt, which the terminal never echoes into the output.
+
+import { mkdirSync, readdirSync, statSync, appendFileSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+export const RECORDINGS_DIR = join(homedir(), '.claude-relay', 'recordings');
+
+const RECORDING_NAME = /^[\w.-]+\.cast$/;
+const FLUSH_INTERVAL_MS = 1000;
+const PEEK_BYTES = 4096; // Enough for the header line and the last event's timestamp
+
+export class AsciicastRecorder {
+  constructor({ sessionId, cols, rows, command, input = false }) {
+    this.started = Date.now();
+    this.recordInput = input;
+    this.pending = [];
+    this.timer = null;
+
+    const stamp = new Date(this.started).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    this.name = `${sessionId.replace(/[^\w.-]/g, '_')}-${stamp}.cast`;
+    this.file = join(RECORDINGS_DIR, this.name);
+    mkdirSync(RECORDINGS_DIR, { recursive: true, mode: 0o700 });
+
+    const header = {
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(this.started / 1000),
+      title: sessionId,
+      env: { TERM: 'xterm-256color', SHELL: process.env.SHELL || null }
+    };
+    if (command) header.command = command;
+    this.pending.push(JSON.stringify(header));
+    this.flush();
+  }
+
+  output(data) {
+    this.event('o', data);
+  }
+
+  input(data) {
+    if (this.recordInput) this.event('i', data);
+  }
+
+  resize(cols, rows) {
+    this.event('r', `${cols}x${rows}`);
+  }
+
+  event(code, data) {
+    const elapsed = Math.round(Date.now() - this.started) / 1000;
+    this.pending.push(JSON.stringify([elapsed, code, data]));
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.pending.length === 0) return;
+
+    const lines = this.pending.join('\n') + '\n';
+    this.pending = [];
+    try {
+      appendFileSync(this.file, lines, { mode: 0o600 });
+    } catch (err) {
+      console.error(`[Record] Write failed: ${err.message}`);
+    }
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+// Path of a recording by file name, or null for names that are not plain .cast files
+export function recordingPath(name) {
+  if (typeof name !== 'string' || !RECORDING_NAME.test(name)) return null;
+  return join(RECORDINGS_DIR, name);
+}
+
+// Read up to `length` bytes at `position` (negative counts from the end)
+function peek(file, size, position, length) {
+  const start = position < 0 ? Math.max(0, size + position) : position;
+  const buffer = Buffer.alloc(Math.min(length, size - start));
+  const fd = openSync(file, 'r');
+  try {
+    readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    closeSync(fd);
+  }
+  return buffer.toString('utf8');
+}
+
+// Recordings on disk, newest first: { name, sessionId, started, duration, size, cols, rows }
+export function listRecordings() {
+  let names;
+  try {
+    names = readdirSync(RECORDINGS_DIR).filter(name => RECORDING_NAME.test(name));
+  } catch (err) {
+    return [];
+  }
+
+  const recordings = [];
+  for (const name of names) {
+    try {
+      const file = join(RECORDINGS_DIR, name);
+      const { size, mtimeMs } = statSync(file);
+      const header = JSON.parse(peek(file, size, 0, PEEK_BYTES).split('\n')[0]);
+
+      // Last complete event line holds the duration
+      let duration = 0;
+      const tail = peek(file, size, -PEEK_BYTES, PEEK_BYTES).trimEnd().split('\n');
+      try {
+        const last = JSON.parse(tail[tail.length - 1]);
+        if (Array.isArray(last)) duration = last[0];
+      } catch (err) {}
+
+      recordings.push({
+        name,
+        sessionId: header.title || name,
+        started: header.timestamp ? header.timestamp * 1000 : mtimeMs,
+        duration,
+        size,
+        cols: header.width,
+        rows: header.height
+      });
+    } catch (err) {
+      // Unreadable or not asciicast - skip it
+    }
+  }
+  return recordings.sort((a, b) => b.started - a.started);
+}
@@ -0,0 +1,133 @@
+// Redraw compactor - collapses in-place terminal redraws out of stored output
+// Spinners and status lines rewrite the same screen rows thousands of times with
+// carriage returns, erase-line and cursor-up sequences. Kept verbatim they flood the
+// scrollback buffer and the registry preview, so stored copies keep only the final
+// state of each rewritten line. Live clients still get the raw bytes.
+//
+// Heuristics (no full terminal emulation - that is what ScreenModel is for):
+//   - text after a carriage return (or cursor to column 1) replaces the line so far
+//   - erase-line (ESC[2K, or ESC[K right after a carriage return) clears the line so far
+//   - cursor-up (ESC[nA / ESC[nF) on a line that also erases drops the n lines above,
+//     the way log-update style renderers clear their previous frame before drawing
+// The last few lines stay revisable in a small window, since a redraw can reach back
+// into them; push() returns only the output that has left that window.
+
+const WINDOW_LINES = 50;
+const COMPACT_PARTIAL_AT = 4096;          // Compact an unterminated line once it grows past this
+const MAX_PARTIAL = 64 * 1024;            // ...and commit it outright beyond this (giant lines)
+
+const REDRAW_TOKEN = /\r|\x1b\[(\d*)([AFGK])/g;
+const ERASES_LINE = /\x1b\[[02]?K/;
+const MOVES_UP = /\x1b\[\d*[AF]/;
+
+// Compact one line (without its newline): { text, up } where `up` is how many lines
+// above it were cleared for redrawing
+export function compactLine(line) {
+  if (line.indexOf('\r') === -1 && line.indexOf('\x1b[') === -1) {
+    return { text: line, up: 0 };
+  }
+
+  const redraw = ERASES_LINE.test(line) && MOVES_UP.test(line);
+  let text = '';
+  let up = 0;
+  let atColumnOne = false; // Cursor went back to column 1; next text starts the line over
+  let last = 0;
+
+  const addText = (segment) => {
+    if (!segment) return;
+    if (atColumnOne) {
+      text = '';
+      atColumnOne = false;
+    }
+    text += segment;
+  };
+
+  REDRAW_TOKEN.lastIndex = 0;
+  let match;
+  while ((match = REDRAW_TOKEN.exec(line)) !== null) {
+    addText(line.slice(last, match.index));
+    last = REDRAW_TOKEN.lastIndex;
+
+    const [token, count, command] = match;
+    if (token === '\r') {
+      atColumnOne = true;
+    } else if (command === 'G') {
+      if ((parseInt(count, 10) || 1) <= 1) atColumnOne = true;
+      else addText(token);
+    } else if (command === 'K') {
+      if (count === '2' || ((count === '' || count === '0') && atColumnOne)) {
+        text = '';
+      } else {
+        addText(token);
+      }
+    } else if (redraw) {
+      // Cursor up as part of clearing a previous frame
+      up += parseInt(count, 10) || 1;
+      text = '';
+      atColumnOne = false;
+    } else {
+      addText(token);
+    }
+  }
+  addText(line.slice(last));
+
+  // A trailing carriage return (CRLF) keeps the line; restore it for the terminal
+  if (line.endsWith('\r')) {
+    text += '\r';
+  }
+  return { text, up };
+}
+
+export class RedrawCompactor {
+  constructor({ windowLines = WINDOW_LINES } = {}) {
+    this.windowLines = windowLines;
+    this.window = [];  // Compacted complete lines that a redraw may still clear
+    this.partial = ''; // Raw text after the last newline
+  }
+
+  // Feed raw output; returns compacted text that is now final
+  push(data) {
+    const pieces = (this.partial + data).split('\n');
+    this.partial = pieces.pop();
+
+    for (const raw of pieces) {
+      const { text, up } = compactLine(raw);
+      this.dropAbove(up);
+      this.window.push(text);
+    }
+
+    let committed = '';
+    if (this.partial.length > COMPACT_PARTIAL_AT) {
+      const { text, up } = compactLine(this.partial);
+      this.dropAbove(up);
+      this.partial = text;
+      if (this.partial.length > MAX_PARTIAL) {
+        committed = this.window.map(line => line + '\n').join('') + this.partial;
+        this.window = [];
+        this.partial = '';
+        return committed;
+      }
+    }
+
+    while (this.window.length > this.windowLines) {
+      committed += this.window.shift() + '\n';
+    }
+    return committed;
+  }
+
+  // Compacted text not yet final: the revisable window plus the current line
+  pending() {
+    const current = compactLine(this.partial);
+    let text = '';
+    for (let i = 0; i < this.window.length - current.up; i++) {
+      text += this.window[i] + '\n';
+    }
+    return text + current.text;
+  }
+
+  dropAbove(count) {
+    if (count > 0) {
+      this.window.splice(Math.max(0, this.window.length - count));
+    }
+  }
+}
@@ -0,0 +1,106 @@
+// Session registry - per-session JSON file the relay reads in listSessions()
+// Hosts rewrite it periodically so the relay can tell live sessions from stale ones
+
+import { writeFileSync, unlinkSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { endpointRegistryFields } from './transport.js';
+import { RedrawCompactor } from './redraw-compactor.js';
+
+export const REGISTRY_DIR = join(homedir(), '.claude-relay', 'sessions');
+
+const PREVIEW_LINES = 12; // Lines to store in registry for dashboard preview
+const PREVIEW_MAX_CHARS = 2000; // Max 2KB preview
+export const REGISTRY_UPDATE_INTERVAL = 3000; // Update registry every 3 seconds
+
+// Strip ANSI escape codes
+export function stripAnsi(str) {
+  return str.replace(/\x1b\[[0-9;?]*[a-zA-Z]/g, '').replace(/\x1b\][^\x07]*\x07/g, '');
+}
+
+function lastLines(text, count) {
+  return text.split('\n').slice(-count).join('\n');
+}
+
+// Last few lines of output as plain text, redraws collapsed (so spinners don't fill it)
+export class OutputPreview {
+  constructor(lines = PREVIEW_LINES) {
+    this.lines = lines;
+    this.committed = ''; // Last N final lines; the compactor holds the rest
+    this.compactor = new RedrawCompactor();
+  }
+
+  push(data) {
+    const committed = this.compactor.push(data);
+    if (committed) {
+      this.committed = lastLines(this.committed + stripAnsi(committed), this.lines);
+    }
+  }
+
+  get text() {
+    return lastLines(this.committed + stripAnsi(this.compactor.pending()), this.lines);
+  }
+}
+
+export class SessionRegistration {
+  // getState() returns the live fields: { pid, clientCount, status }
+  constructor({ id, endpoint, cwd, getState }) {
+    this.id = id;
+    this.endpoint = endpoint;
+    this.cwd = cwd;
+    this.getState = getState;
+    this.started = Date.now();
+    this.file = join(REGISTRY_DIR, `${id}.json`);
+    this.preview = new OutputPreview();
+    this.lastActivity = Date.now();
+    this.timer = null;
+
+    mkdirSync(REGISTRY_DIR, { recursive: true });
+  }
+
+  // Update preview from host output
+  recordOutput(data) {
+    this.preview.push(data);
+    this.lastActivity = Date.now();
+  }
+
+  // Write registry file with preview and health info
+  write() {
+    try {
+      const sessionInfo = {
+        id: this.id,
+        ...endpointRegistryFields(this.endpoint),
+        cwd: this.cwd,
+        started: this.started,
+        lastSeen: Date.now(),
+        preview: this.preview.text.slice(-PREVIEW_MAX_CHARS),
+        ...this.getState()
+      };
+      writeFileSync(this.file, JSON.stringify(sessionInfo, null, 2));
+    } catch (err) {
+      // Ignore write errors
+    }
+  }
+
+  // Register now and keep the entry fresh
+  start() {
+    this.write();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = setInterval(() => this.write(), REGISTRY_UPDATE_INTERVAL);
+  }
+
+  // Stop heartbeats and remove the entry
+  remove() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    try {
+      if (existsSync(this.file)) {
+        unlinkSync(this.file);
+      }
+    } catch (err) {
+      console.error(`[Registry] Error removing entry: ${err.message}`);
+    }
+  }
+}
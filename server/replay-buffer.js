@@ -0,0 +1,41 @@
+// Replay buffer - numbers every output chunk so reconnecting clients can resume without gaps
+// Hosts keep the most recent chunks (bounded by bytes) and replay those after a client's
+// last seen sequence; anything older falls back to a full scrollback snapshot.
+
+import { randomBytes } from 'crypto';
+
+export class ReplayBuffer {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = []; // { seq, data }
+    this.bytes = 0;
+    this.lastSeq = 0;
+    // Identifies this host process; sequences from a previous host never match it
+    this.epoch = randomBytes(6).toString('hex');
+  }
+
+  // Record an output chunk, returning its sequence number
+  push(data) {
+    const seq = ++this.lastSeq;
+    this.chunks.push({ seq, data });
+    this.bytes += data.length;
+
+    // Always keep the newest chunk, even if it alone exceeds the budget
+    while (this.bytes > this.maxBytes && this.chunks.length > 1) {
+      this.bytes -= this.chunks.shift().data.length;
+    }
+    return seq;
+  }
+
+  // Chunks after `lastSeq`, or null if they are no longer (or were never) all buffered
+  since(lastSeq, epoch) {
+    if (epoch !== this.epoch || !Number.isInteger(lastSeq)) return null;
+    if (lastSeq > this.lastSeq || lastSeq < 0) return null;
+    if (lastSeq === this.lastSeq) return [];
+
+    const oldestSeq = this.chunks.length > 0 ? this.chunks[0].seq : this.lastSeq + 1;
+    if (lastSeq + 1 < oldestSeq) return null;
+
+    return this.chunks.slice(lastSeq + 1 - oldestSeq);
+  }
+}
@@ -0,0 +1,56 @@
+// Screen model - headless terminal fed the same bytes as the PTY
+// Attaching clients get a serialized copy of the current screen plus scrollback, so
+// heavy TUI redraws (boxes, spinners) render exactly as on the host instead of being
+// replayed from raw output into a terminal that never saw the start of them.
+
+import xtermHeadless from '@xterm/headless';
+import { SerializeAddon } from '@xterm/addon-serialize';
+
+const { Terminal } = xtermHeadless;
+
+export class ScreenModel {
+  constructor({ cols, rows, scrollback }) {
+    this.term = new Terminal({ cols, rows, scrollback, allowProposedApi: true });
+    this.serializer = new SerializeAddon();
+    this.term.loadAddon(this.serializer);
+  }
+
+  get cols() {
+    return this.term.cols;
+  }
+
+  get rows() {
+    return this.term.rows;
+  }
+
+  // DECCKM as last set by the program, so key chords encode cursor keys the way it expects
+  get applicationCursor() {
+    return this.term.modes.applicationCursorKeysMode;
+  }
+
+  write(data) {
+    this.term.write(data);
+  }
+
+  resize(cols, rows) {
+    if (cols > 0 && rows > 0 && (cols !== this.term.cols || rows !== this.term.rows)) {
+      this.term.resize(cols, rows);
+    }
+  }
+
+  // Serialize once everything written so far has been parsed. Writes made after this
+  // call are not in the snapshot, so callers note their output sequence beforehand.
+  snapshot(callback) {
+    this.term.write('', () => {
+      try {
+        callback(null, this.serializer.serialize());
+      } catch (err) {
+        callback(err);
+      }
+    });
+  }
+
+  dispose() {
+    this.term.dispose();
+  }
+}
@@ -0,0 +1,149 @@
+// Scrollback buffer - bounded store for recent PTY output, shared by all hosts
+// Output is kept as the chunks it arrived in, capped by both UTF-8 bytes and line count.
+// Appends are O(1) amortized: old chunks are dropped by advancing a head index instead
+// of Array.shift(), and a single oversized chunk (one giant line) is trimmed from the
+// front so it can never exceed the byte cap. With `compact`, output passes through a
+// RedrawCompactor first, so spinner frames don't push real output out of the caps.
+
+import { RedrawCompactor } from './redraw-compactor.js';
+
+export class ScrollbackBuffer {
+  constructor({ maxBytes, maxLines, compact = false }) {
+    this.maxBytes = maxBytes;
+    this.maxLines = maxLines;
+    this.compactor = compact ? new RedrawCompactor() : null;
+    this.chunks = []; // { data, bytes, lines } - lines counts newlines in data
+    this.head = 0;    // Index of the oldest live chunk
+    this.bytes = 0;
+    this.lines = 0;
+  }
+
+  get length() {
+    return this.chunks.length - this.head;
+  }
+
+  append(data) {
+    if (this.compactor) {
+      data = this.compactor.push(data);
+    }
+    if (!data) return;
+    const chunk = { data, bytes: Buffer.byteLength(data), lines: countNewlines(data) };
+    this.chunks.push(chunk);
+    this.bytes += chunk.bytes;
+    this.lines += chunk.lines;
+    this.evict();
+  }
+
+  // Drop or trim the oldest output until both caps hold
+  evict() {
+    while (this.bytes > this.maxBytes || this.lines > this.maxLines) {
+      const oldest = this.chunks[this.head];
+      const excessBytes = this.bytes - this.maxBytes;
+      const excessLines = this.lines - this.maxLines;
+
+      // Whole chunks go while they fit within the excess of a cap that is actually exceeded
+      if (this.length > 1 && (oldest.bytes <= excessBytes || (excessLines > 0 && oldest.lines <= excessLines))) {
+        this.chunks[this.head++] = null;
+        this.bytes -= oldest.bytes;
+        this.lines -= oldest.lines;
+        continue;
+      }
+
+      // Only part of the oldest chunk has to go
+      let data = oldest.data;
+      if (excessLines > 0) {
+        data = data.slice(indexAfterNewline(data, excessLines));
+      }
+      if (excessBytes > 0) {
+        data = dropLeadingBytes(data, excessBytes);
+      }
+      const trimmed = { data, bytes: Buffer.byteLength(data), lines: countNewlines(data) };
+      this.bytes -= oldest.bytes - trimmed.bytes;
+      this.lines -= oldest.lines - trimmed.lines;
+      this.chunks[this.head] = trimmed;
+    }
+
+    // Reclaim the dropped slots once they are most of the array
+    if (this.head > 1024 && this.head * 2 > this.chunks.length) {
+      this.chunks = this.chunks.slice(this.head);
+      this.head = 0;
+    }
+  }
+
+  // Everything retained, oldest first
+  toString() {
+    let text = '';
+    for (let i = this.head; i < this.chunks.length; i++) {
+      text += this.chunks[i].data;
+    }
+    return this.compactor ? text + this.compactor.pending() : text;
+  }
+
+  // The newest output limited to `maxLines` lines and about `maxBytes` bytes; when the
+  // byte limit cuts into a line, the text starts at the next full line instead
+  tail({ maxLines = Infinity, maxBytes = Infinity } = {}) {
+    const parts = [];
+    let bytes = 0;
+    let lines = 0;
+    if (this.compactor) {
+      const pending = this.compactor.pending();
+      parts.push(pending);
+      bytes += Buffer.byteLength(pending);
+      lines += countNewlines(pending);
+    }
+    for (let i = this.chunks.length - 1; i >= this.head && bytes <= maxBytes && lines < maxLines; i--) {
+      parts.push(this.chunks[i].data);
+      bytes += this.chunks[i].bytes;
+      lines += this.chunks[i].lines;
+    }
+    let text = parts.reverse().join('');
+
+    if (lines >= maxLines) {
+      text = text.slice(indexAfterNewline(text, countNewlines(text) - maxLines + 1));
+    }
+    if (Buffer.byteLength(text) > maxBytes) {
+      text = dropLeadingBytes(text, Buffer.byteLength(text) - maxBytes);
+      const firstNewline = text.indexOf('\n');
+      if (firstNewline > 0) {
+        text = text.slice(firstNewline + 1);
+      }
+    }
+    return text;
+  }
+
+  clear() {
+    if (this.compactor) this.compactor = new RedrawCompactor();
+    this.chunks = [];
+    this.head = 0;
+    this.bytes = 0;
+    this.lines = 0;
+  }
+}
+
+function countNewlines(str) {
+  let count = 0;
+  for (let i = str.indexOf('\n'); i !== -1; i = str.indexOf('\n', i + 1)) {
+    count++;
+  }
+  return count;
+}
+
+// Index just past the n-th newline (or the end of the string)
+function indexAfterNewline(str, n) {
+  let index = -1;
+  for (let i = 0; i < n; i++) {
+    index = str.indexOf('\n', index + 1);
+    if (index === -1) return str.length;
+  }
+  return index + 1;
+}
+
+// Remove at least `count` UTF-8 bytes from the front without splitting a character
+function dropLeadingBytes(str, count) {
+  const buffer = Buffer.from(str);
+  let start = Math.min(count, buffer.length);
+  while (start < buffer.length && (buffer[start] & 0xc0) === 0x80) {
+    start++;
+  }
+  return buffer.subarray(start).toString('utf8');
+}
@@ -0,0 +1,186 @@
+// Scrollback log - each host appends its raw PTY output to a rotating on-disk log
+// The log outlives the host, and the relay reads it directly (same machine, like the
+// registry) to page back through history older than what a live client holds.
+//
+// Layout: <LOG_DIR>/<sessionId>/<start offset>.log, where a segment's name is the byte
+// offset of its first byte in the session's whole output stream. Offsets stay stable
+// across rotation and host restarts, so they work as page cursors.
+
+import { mkdirSync, readdirSync, statSync, appendFileSync, unlinkSync, openSync, readSync, closeSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+export const LOG_DIR = join(homedir(), '.claude-relay', 'logs');
+
+const SEGMENT_PATTERN = /^(\d+)\.log$/;
+const SAFE_SESSION_ID = /^[\w.-]+$/;
+const FLUSH_INTERVAL_MS = 1000;
+
+// Directory holding a session's log, or null for ids that are not safe path names
+function sessionLogDir(sessionId) {
+  if (typeof sessionId !== 'string' || !SAFE_SESSION_ID.test(sessionId) || /^\.+$/.test(sessionId)) {
+    return null;
+  }
+  return join(LOG_DIR, sessionId);
+}
+
+function segmentFile(dir, start) {
+  return join(dir, `${String(start).padStart(16, '0')}.log`);
+}
+
+// Existing segments, oldest first
+function listSegments(dir) {
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch (err) {
+    return [];
+  }
+  const segments = [];
+  for (const name of names) {
+    const match = name.match(SEGMENT_PATTERN);
+    if (!match) continue;
+    try {
+      segments.push({ start: parseInt(match[1], 10), file: join(dir, name), size: statSync(join(dir, name)).size });
+    } catch (err) {
+      // Removed by rotation while listing
+    }
+  }
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+export class ScrollbackLog {
+  constructor({ sessionId, maxFileBytes, maxFiles }) {
+    this.dir = sessionLogDir(sessionId);
+    this.maxFileBytes = maxFileBytes;
+    this.maxFiles = maxFiles;
+    this.pending = [];
+    this.timer = null;
+
+    if (!this.dir) {
+      throw new Error(`Cannot log session "${sessionId}": unsafe name`);
+    }
+    mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    // Continue the stream a previous host left behind
+    this.segments = listSegments(this.dir);
+    const last = this.segments[this.segments.length - 1];
+    this.offset = last ? last.start + last.size : 0;
+  }
+
+  // Queue output; it reaches disk on the next flush
+  append(data) {
+    this.pending.push(data);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.pending.length === 0) return;
+
+    const bytes = Buffer.from(this.pending.join(''), 'utf8');
+    this.pending = [];
+
+    try {
+      let current = this.segments[this.segments.length - 1];
+      if (!current || (current.size > 0 && current.size + bytes.length > this.maxFileBytes)) {
+        current = { start: this.offset, file: segmentFile(this.dir, this.offset), size: 0 };
+        this.segments.push(current);
+      }
+      appendFileSync(current.file, bytes, { mode: 0o600 });
+      current.size += bytes.length;
+      this.offset += bytes.length;
+
+      // Drop the oldest segments beyond the cap
+      while (this.segments.length > this.maxFiles) {
+        const oldest = this.segments.shift();
+        try {
+          unlinkSync(oldest.file);
+        } catch (err) {}
+      }
+    } catch (err) {
+      console.error(`[Log] Write failed: ${err.message}`);
+    }
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+// Read the page of output ending at byte offset `before` (the end of the log if omitted).
+// Returns { data, start, end, hasMore } or null when the session has no log. Pages that
+// do not reach the oldest byte start after a newline, so they never open mid-line, and
+// neither edge splits a multi-byte UTF-8 character.
+export function readScrollbackLog(sessionId, { before = null, limit }) {
+  const dir = sessionLogDir(sessionId);
+  if (!dir) return null;
+
+  const segments = listSegments(dir);
+  if (segments.length === 0) return null;
+
+  const oldest = segments[0].start;
+  const last = segments[segments.length - 1];
+  const total = last.start + last.size;
+
+  let end = Number.isInteger(before) ? Math.min(Math.max(before, oldest), total) : total;
+  let start = Math.max(oldest, end - Math.max(limit, 4)); // Room for at least one whole character
+
+  const bufferStart = start;
+  const buffer = Buffer.alloc(end - start);
+  for (const segment of segments) {
+    const from = Math.max(bufferStart, segment.start);
+    const to = Math.min(end, segment.start + segment.size);
+    if (from >= to) continue;
+    let fd;
+    try {
+      fd = openSync(segment.file, 'r');
+      readSync(fd, buffer, from - bufferStart, to - from, from - segment.start);
+    } catch (err) {
+      // Rotated away mid-read - the page starts after it
+      start = Math.max(start, to);
+    } finally {
+      if (fd !== undefined) closeSync(fd);
+    }
+  }
+
+  let data = buffer.subarray(start - bufferStart);
+  const cutOff = partialTrailingBytes(data);
+  data = data.subarray(0, data.length - cutOff);
+  end -= cutOff;
+  if (start > oldest) {
+    const newline = data.indexOf(0x0a);
+    if (newline !== -1 && newline < data.length - 1) {
+      data = data.subarray(newline + 1);
+      start += newline + 1;
+    }
+  }
+  const continued = leadingContinuationBytes(data);
+  data = data.subarray(continued);
+  start += continued;
+
+  return { data: data.toString('utf8'), start, end, hasMore: start > oldest };
+}
+
+// Bytes at the front finishing a character that began before the page (at most 3)
+function leadingContinuationBytes(buffer) {
+  let count = 0;
+  while (count < 3 && count < buffer.length && (buffer[count] & 0xc0) === 0x80) {
+    count++;
+  }
+  return count;
+}
+
+// Bytes at the end starting a character that the page cuts off (0 if the last one is whole)
+function partialTrailingBytes(buffer) {
+  for (let back = 1; back <= Math.min(4, buffer.length); back++) {
+    const byte = buffer[buffer.length - back];
+    if ((byte & 0xc0) === 0x80) continue;
+    const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    return length > back ? back : 0;
+  }
+  return 0;
+}
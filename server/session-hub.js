@@ -0,0 +1,545 @@
+// Session hub - one host connection per session, shared by every subscribed WebSocket
+// Output from the host fans out to all subscribers; input and resizes from any of them
+// go through the same pipe. Hosts with the 'multiplex' capability sync each subscriber
+// separately (a `sync` tagged with a ref, answered by ref-tagged replay/snapshot
+// messages); for older hosts the hub keeps its own scrollback copy for late joiners.
+// Subscribers whose client isn't showing the session get throttled summaries instead
+// of output, and are resynced from where they left off once it is on screen again.
+// Flow control: while any visible subscriber is too far behind (output not yet acked by
+// its browser, or still queued on its socket), the hub stops reading the host's pipe;
+// the host sees its writes back up and pauses the PTY until everyone catches up. Only
+// subscribers allowed to type hold the host back, and one that stays behind for
+// FLOW_STALL_MS is treated as hidden (resynced once it catches up), so a client that
+// stops acking can't freeze the session for everyone else.
+
+import config from './config.js';
+import { connectEndpoint } from './transport.js';
+import { createHello, negotiate, hasCapability, LEGACY_PEER, RELAY_CAPABILITIES } from './protocol.js';
+import { ERROR_CODES, RelayError } from './messages.js';
+import { ScrollbackBuffer } from './scrollback-buffer.js';
+import { OutputPreview } from './registry.js';
+
+const PIPE_CONNECT_TIMEOUT = 10000; // 10 seconds
+const HOST_HELLO_TIMEOUT = 1000;    // Hosts that haven't said hello by now are legacy
+const HUB_IDLE_CLOSE_MS = 10000;    // Keep an unused pipe briefly so a reloading tab reuses it
+
+// Pipe buffer protection (prevents DoS from unbounded buffer growth)
+const MAX_PIPE_BUFFER_SIZE = 1024 * 1024; // 1MB
+
+const hubs = new Map(); // sessionId -> SessionHub
+
+// Hub for a session, connecting to its host on first use
+export function getSessionHub(sessionId, endpoint) {
+  let hub = hubs.get(sessionId);
+  if (!hub) {
+    hub = new SessionHub(sessionId, endpoint);
+    hubs.set(sessionId, hub);
+  }
+  return hub;
+}
+
+// Drop every host connection (relay shutdown)
+export function closeAllHubs() {
+  for (const hub of [...hubs.values()]) {
+    hub.shutdown('Relay shutting down');
+  }
+}
+
+// Subscribers are plain objects owned by a WebSocket connection:
+//   peer               negotiated client capabilities
+//   send(msg)          deliver a message object to the browser
+//   ack(request)       the connect_session request succeeded
+//   fail(request, err) report a RelayError (request may be null)
+//   detached()         the hub is gone; forget this subscription
+//   buffered           bytes queued on its WebSocket (backlog for clients that can't ack)
+//   holdsFlow          whether its backlog may pause the host (false for watch-only roles)
+// A (re)subscribe makes the session visible to that subscriber; setVisible() hides it.
+export class SessionHub {
+  constructor(sessionId, endpoint) {
+    this.sessionId = sessionId;
+    this.endpoint = endpoint;
+    this.pipe = null;
+    this.buffer = '';
+    this.connected = false;     // Pipe is up
+    this.ready = false;         // Host handshake done (or timed out for legacy hosts)
+    this.closed = false;
+    this.host = LEGACY_PEER;    // Negotiated from the host's hello
+    this.multiplexed = false;   // Host syncs each subscriber by ref
+    this.paused = false;        // Not reading the pipe until subscribers catch up
+    this.flowTimer = null;
+    this.missedPings = 0;       // Pings sent since the last pong
+    this.answersPings = false;  // From the hello ('ping' capability) or a first pong; older hosts are never marked hung
+    this.latency = null;        // Last measured round-trip time in ms
+    this.closeReason = null;
+    this.connectTimeout = null;
+    this.helloTimeout = null;
+    this.pingInterval = null;
+    this.idleTimer = null;
+    this.subscribers = new Map(); // subscriber -> { request, ref, pending, queue, visible, missed, lastSeq, epoch, unacked, behindSince, stalled }
+    this.refs = new Map();        // sync ref -> subscriber
+    this.nextRef = 1;
+
+    // Summaries for subscribers that aren't showing the session
+    this.preview = new OutputPreview(config.SUMMARY_PREVIEW_LINES);
+    this.activeSinceSummary = false;
+    this.summaryTimer = null;
+
+    // Relay-side copy of output, only used when the host can't sync subscribers itself
+    this.scrollback = new ScrollbackBuffer({ maxBytes: config.SCROLLBACK_BYTES, maxLines: config.SCROLLBACK_LINES });
+  }
+
+  // Add (or re-sync) a subscriber; `request` is its connect_session, acked once attached
+  subscribe(subscriber, request) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    let state = this.subscribers.get(subscriber);
+    if (!state) {
+      state = { request: null, ref: null, pending: true, queue: [], visible: true, missed: false, lastSeq: null, epoch: null, unacked: 0, behindSince: null, stalled: false };
+      this.subscribers.set(subscriber, state);
+    }
+    state.request = request;
+    state.visible = true;
+
+    if (!this.pipe) {
+      this.connect();
+    } else if (this.ready) {
+      this.attach(subscriber, state);
+    }
+    // Otherwise still connecting - attached once the host handshake completes
+  }
+
+  unsubscribe(subscriber) {
+    const state = this.subscribers.get(subscriber);
+    if (!state) return;
+    if (state.ref) this.refs.delete(state.ref);
+    this.subscribers.delete(subscriber);
+    if (this.paused) this.checkFlow();
+
+    if (this.subscribers.size === 0 && !this.closed) {
+      this.idleTimer = setTimeout(() => {
+        console.log(`[Hub] No subscribers left for ${this.sessionId}, closing pipe`);
+        this.shutdown('No subscribers');
+      }, HUB_IDLE_CLOSE_MS);
+    }
+  }
+
+  // Forward a client message (input, control, resize) to the host
+  write(msg) {
+    if (!this.pipe || this.pipe.destroyed) {
+      return false;
+    }
+    try {
+      const success = this.pipe.write(JSON.stringify(msg) + '\n');
+      // Handle backpressure - if write returns false, buffer is full
+      if (!success) {
+        console.warn('[Pipe] Write buffer full, message may be delayed');
+      }
+      return success;
+    } catch (err) {
+      console.error('[Pipe] Write error:', err.message);
+      return false;
+    }
+  }
+
+  connect() {
+    console.log(`[Hub] Connecting to session: ${this.sessionId}`);
+    try {
+      this.pipe = connectEndpoint(this.endpoint);
+    } catch (err) {
+      console.error(`[Pipe] Cannot connect to ${this.sessionId}: ${err.message}`);
+      this.shutdown(err.message, { code: ERROR_CODES.CONNECT_FAILED, message: err.message });
+      return;
+    }
+
+    this.connectTimeout = setTimeout(() => {
+      if (!this.connected) {
+        console.error(`[Pipe] Connection timeout for ${this.sessionId}`);
+        this.shutdown('Connection timeout', { code: ERROR_CODES.CONNECT_TIMEOUT, message: 'Connection timeout' });
+      }
+    }, PIPE_CONNECT_TIMEOUT);
+
+    this.pipe.on('connect', () => {
+      clearTimeout(this.connectTimeout);
+      this.connected = true;
+      console.log(`[Pipe] Connected to ${this.sessionId}`);
+      this.write(createHello('relay', RELAY_CAPABILITIES));
+      this.helloTimeout = setTimeout(() => this.onReady(), HOST_HELLO_TIMEOUT);
+
+      // Send resize immediately
+      this.write({ type: 'resize', cols: 120, rows: 30 });
+
+      // Start heartbeat pings to session, measure latency right away
+      this.pingHost();
+      this.pingInterval = setInterval(() => {
+        // Pongs wait unread in the pipe while paused, so don't count them missing
+        if (!this.connected || this.pipe.destroyed || this.paused) return;
+
+        if (this.answersPings && this.missedPings >= config.PIPE_PING_MAX_MISSED) {
+          console.warn(`[Pipe] No pong from ${this.sessionId} in ${this.missedPings} intervals, disconnecting`);
+          this.closeReason = 'Host not responding';
+          this.pipe.destroy();
+          return;
+        }
+        this.pingHost();
+      }, config.PIPE_PING_INTERVAL_MS);
+    });
+
+    this.pipe.on('data', (data) => {
+      this.buffer += data.toString();
+
+      // Prevent unbounded buffer growth (DoS protection)
+      if (this.buffer.length > MAX_PIPE_BUFFER_SIZE) {
+        console.error(`[Pipe] Buffer exceeded ${MAX_PIPE_BUFFER_SIZE} bytes for ${this.sessionId}, disconnecting`);
+        this.shutdown('Buffer overflow', { code: ERROR_CODES.HOST_ERROR, message: 'Buffer overflow - connection reset' });
+        return;
+      }
+
+      // Process complete JSON messages (newline-delimited)
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let msg;
+        try {
+          msg = JSON.parse(line);
+        } catch (err) {
+          // Raw output, wrap it
+          msg = { type: 'output', data: line };
+        }
+        this.handleHostMessage(msg);
+      }
+    });
+
+    this.pipe.on('error', (err) => {
+      console.error(`[Pipe] Error for ${this.sessionId}: ${err.message}`);
+      const code = this.connected ? ERROR_CODES.HOST_ERROR : ERROR_CODES.CONNECT_FAILED;
+      this.shutdown(err.message, { code, message: `Pipe error: ${err.message}` });
+    });
+
+    this.pipe.on('close', () => {
+      console.log(`[Pipe] Disconnected from ${this.sessionId}`);
+      this.shutdown(this.closeReason || 'Session ended');
+    });
+  }
+
+  // Host handshake finished: decide how subscribers are synced, then attach them
+  onReady() {
+    if (this.ready || this.closed) return;
+    clearTimeout(this.helloTimeout);
+    this.ready = true;
+    this.multiplexed = hasCapability(this.host, 'multiplex');
+
+    if (this.multiplexed) {
+      this.scrollback = null;
+    } else if (hasCapability(this.host, 'seq')) {
+      // Host waits for a sync before streaming; one snapshot for the whole hub
+      this.write({ type: 'sync', lastSeq: null, epoch: null });
+    }
+
+    for (const [subscriber, state] of this.subscribers) {
+      this.attach(subscriber, state);
+    }
+  }
+
+  // Ack a subscriber's connect_session and bring it up to date
+  attach(subscriber, state) {
+    const request = state.request;
+    state.request = null;
+    subscriber.ack(request);
+    this.syncSubscriber(subscriber, state, request?.lastSeq ?? null, request?.epoch ?? null);
+  }
+
+  // Send a subscriber what it is missing after `lastSeq` (a full snapshot if unknown)
+  syncSubscriber(subscriber, state, lastSeq, epoch) {
+    state.missed = false;
+    state.unacked = 0; // Acks for output sent before the resync no longer matter
+    state.behindSince = null;
+    state.stalled = false;
+
+    if (this.multiplexed) {
+      // Host replays (or snapshots) for this subscriber alone; live output queues meanwhile
+      if (state.ref) this.refs.delete(state.ref);
+      state.ref = String(this.nextRef++);
+      state.pending = true;
+      state.queue = [];
+      this.refs.set(state.ref, subscriber);
+      this.write({ type: 'sync', lastSeq, epoch, ref: state.ref });
+      return;
+    }
+
+    state.pending = false;
+    const data = this.scrollback.toString();
+    if (data) {
+      this.deliver(subscriber, state, { type: 'scrollback', data, sessionId: this.sessionId });
+    }
+    this.deliver(subscriber, state, { type: 'status', state: 'connected', latency: this.latency, sessionId: this.sessionId });
+  }
+
+  // Show or hide the session for one subscriber
+  setVisible(subscriber, visible) {
+    const state = this.subscribers.get(subscriber);
+    if (!state || state.visible === visible) return;
+    state.visible = visible;
+
+    if (!visible) {
+      this.scheduleSummary();
+      if (this.paused) this.checkFlow();
+    } else if (state.missed && this.ready && !state.pending) {
+      console.log(`[Hub] Resyncing ${this.sessionId} for a client that is showing it again`);
+      this.syncSubscriber(subscriber, state, state.lastSeq, state.epoch);
+    }
+    // A sync still in flight resyncs when it completes
+  }
+
+  // Send to one subscriber; output for a hidden session (or a stalled client) is skipped
+  // and resynced later
+  deliver(subscriber, state, msg) {
+    if (!state.visible || state.stalled) {
+      if (msg.type === 'output' || msg.type === 'scrollback') {
+        state.missed = true;
+        return;
+      }
+      // The client hasn't seen the output this position refers to
+      const { seq, epoch, ...rest } = msg;
+      msg = rest;
+    }
+    if (Number.isInteger(msg.seq)) state.lastSeq = msg.seq;
+    if (msg.epoch) state.epoch = msg.epoch;
+    if (msg.type === 'output' && typeof msg.data === 'string') state.unacked += msg.data.length;
+    subscriber.send(msg);
+  }
+
+  // The subscriber's browser rendered `chars` more characters of output
+  ack(subscriber, chars) {
+    const state = this.subscribers.get(subscriber);
+    if (!state) return;
+    state.unacked = Math.max(0, state.unacked - chars);
+    this.checkFlow();
+  }
+
+  // Output a subscriber has been sent but not yet consumed
+  backlog(subscriber, state) {
+    return hasCapability(subscriber.peer, 'flow') ? state.unacked : subscriber.buffered;
+  }
+
+  // Pause reading the pipe above the high watermark, resume below the low one
+  checkFlow() {
+    if (!this.pipe || this.closed) return;
+    const now = Date.now();
+    let backlog = 0;
+    for (const [subscriber, state] of this.subscribers) {
+      if (!state.visible || state.request || !subscriber.holdsFlow) continue;
+      const behind = this.backlog(subscriber, state);
+
+      if (state.stalled) {
+        // Caught up again: bring it back with what it skipped
+        if (behind <= config.FLOW_LOW_WATERMARK) {
+          console.log(`[Flow] ${this.sessionId}: stalled client caught up, resyncing`);
+          state.stalled = false;
+          state.behindSince = null;
+          if (state.missed && !state.pending) this.syncSubscriber(subscriber, state, state.lastSeq, state.epoch);
+        }
+        continue;
+      }
+
+      if (behind <= config.FLOW_HIGH_WATERMARK) {
+        state.behindSince = null;
+      } else if (state.behindSince === null) {
+        state.behindSince = now;
+      } else if (now - state.behindSince > config.FLOW_STALL_MS) {
+        // Not keeping up (or not acking at all): stop sending it output and stop waiting for it
+        console.log(`[Flow] ${this.sessionId}: client ${behind} behind for ${config.FLOW_STALL_MS}ms, no longer waiting for it`);
+        state.stalled = true;
+        continue;
+      }
+      backlog = Math.max(backlog, behind);
+    }
+
+    if (!this.paused && backlog > config.FLOW_HIGH_WATERMARK) {
+      this.paused = true;
+      this.pipe.pause();
+      // Backlogs without acks only shrink as sockets drain, so keep checking
+      this.flowTimer = setInterval(() => this.checkFlow(), config.FLOW_POLL_MS);
+      console.log(`[Flow] ${this.sessionId}: client backlog ${backlog}, pausing host output`);
+    } else if (this.paused && backlog <= config.FLOW_LOW_WATERMARK) {
+      this.paused = false;
+      clearInterval(this.flowTimer);
+      this.flowTimer = null;
+      this.pipe.resume();
+      console.log(`[Flow] ${this.sessionId}: clients caught up, resuming host output`);
+    }
+  }
+
+  handleHostMessage(msg) {
+    // Host handshake - consumed here, older hosts never send one
+    if (msg.type === 'hello') {
+      this.host = negotiate(RELAY_CAPABILITIES, msg);
+      // Hosts that promise pongs are held to it from the first ping, sent before this arrived
+      this.answersPings = hasCapability(this.host, 'ping');
+      console.log(`[Pipe] Host ${this.sessionId} speaks protocol v${this.host.protocol} (shared: ${this.host.capabilities.join(', ') || 'none'})`);
+      this.onReady();
+      return;
+    }
+
+    // Handle pong (heartbeat response) - report latency instead of forwarding
+    if (msg.type === 'pong') {
+      this.missedPings = 0;
+      this.answersPings = true;
+      if (typeof msg.ts === 'number') {
+        this.latency = Date.now() - msg.ts;
+        for (const [subscriber, state] of this.subscribers) {
+          if (!state.pending && state.visible && hasCapability(subscriber.peer, 'latency')) {
+            subscriber.send({ type: 'status', state: 'connected', latency: this.latency, sessionId: this.sessionId });
+          }
+        }
+      }
+      return;
+    }
+
+    // Replies to one subscriber's sync
+    if (msg.ref !== undefined) {
+      this.deliverSynced(msg);
+      return;
+    }
+
+    if (msg.type === 'scrollback') {
+      console.log(`[Pipe] Received scrollback for ${this.sessionId} (${msg.data?.length || 0} chars)`);
+    }
+    if (this.scrollback) {
+      if (msg.type === 'scrollback') {
+        this.scrollback.clear();
+      }
+      if ((msg.type === 'scrollback' || msg.type === 'output') && typeof msg.data === 'string') {
+        this.scrollback.append(msg.data);
+      }
+    }
+
+    if (msg.type === 'output' && typeof msg.data === 'string') {
+      this.preview.push(msg.data);
+      this.activeSinceSummary = true;
+      this.scheduleSummary();
+    }
+
+    // Always forward with sessionId so client can route appropriately
+    const out = { ...msg, sessionId: this.sessionId };
+    for (const [subscriber, state] of this.subscribers) {
+      if (!state.pending) {
+        this.deliver(subscriber, state, out);
+      } else if (this.multiplexed) {
+        state.queue.push(out);
+      }
+      // Unattached subscribers of other hosts get the hub's scrollback copy on attach
+    }
+
+    if (msg.type === 'output') {
+      this.checkFlow();
+    }
+  }
+
+  // Route a ref-tagged message; the closing `status` releases the subscriber's queue
+  deliverSynced(msg) {
+    const { ref, ...rest } = msg;
+    const subscriber = this.refs.get(ref);
+    const state = subscriber && this.subscribers.get(subscriber);
+    if (!state) return;
+
+    const out = { ...rest, sessionId: this.sessionId };
+    if (rest.type !== 'status' || rest.state !== 'connected') {
+      this.deliver(subscriber, state, out);
+      return;
+    }
+
+    this.refs.delete(ref);
+    state.ref = null;
+    state.pending = false;
+    this.deliver(subscriber, state, { ...out, latency: this.latency });
+
+    // Live output that arrived during the sync, minus what the sync already covered
+    const queued = state.queue;
+    state.queue = [];
+    for (const item of queued) {
+      if (Number.isInteger(item.seq) && Number.isInteger(rest.seq) && item.seq <= rest.seq) continue;
+      this.deliver(subscriber, state, item);
+    }
+
+    // Shown again while the sync was running, with output skipped meanwhile
+    if (state.visible && state.missed) {
+      this.syncSubscriber(subscriber, state, state.lastSeq, state.epoch);
+    }
+  }
+
+  // Summaries go out at most every SUMMARY_INTERVAL_MS, and only to hidden subscribers
+  scheduleSummary() {
+    if (this.summaryTimer || this.closed) return;
+    this.summaryTimer = setTimeout(() => this.sendSummaries(), config.SUMMARY_INTERVAL_MS);
+  }
+
+  sendSummaries() {
+    this.summaryTimer = null;
+    const hidden = [];
+    for (const [subscriber, state] of this.subscribers) {
+      if (!state.visible && !state.request) hidden.push(subscriber);
+    }
+    if (hidden.length === 0) return;
+
+    const summary = {
+      type: 'summary',
+      sessionId: this.sessionId,
+      active: this.activeSinceSummary,
+      state: this.connected ? 'connected' : 'connecting',
+      preview: this.preview.text,
+      latency: this.latency
+    };
+    for (const subscriber of hidden) {
+      subscriber.send(summary);
+    }
+    this.activeSinceSummary = false;
+
+    // One more round after activity, so clients see the session go idle
+    if (summary.active) {
+      this.scheduleSummary();
+    }
+  }
+
+  // Send a timestamped liveness ping to the host
+  pingHost() {
+    this.missedPings++;
+    this.write({ type: 'ping', ts: Date.now() });
+  }
+
+  // Tear down the host connection and tell every subscriber why. `failure` ({ code,
+  // message }) fails connect_session requests still waiting for their ack and is
+  // reported to attached subscribers too; without it only pending requests fail.
+  shutdown(reason, failure = null) {
+    if (this.closed) return;
+    this.closed = true;
+    this.connected = false;
+    clearTimeout(this.connectTimeout);
+    clearTimeout(this.helloTimeout);
+    clearTimeout(this.idleTimer);
+    clearTimeout(this.summaryTimer);
+    clearInterval(this.flowTimer);
+    clearInterval(this.pingInterval);
+    if (hubs.get(this.sessionId) === this) {
+      hubs.delete(this.sessionId);
+    }
+    if (this.pipe && !this.pipe.destroyed) {
+      this.pipe.destroy();
+    }
+
+    for (const [subscriber, state] of this.subscribers) {
+      if (state.request) {
+        const code = failure?.code || ERROR_CODES.CONNECT_FAILED;
+        subscriber.fail(state.request, new RelayError(code, failure?.message || reason, { sessionId: this.sessionId }));
+      } else if (failure) {
+        subscriber.fail(null, new RelayError(failure.code, failure.message, { sessionId: this.sessionId }));
+      }
+      subscriber.send({ type: 'status', state: 'disconnected', reason, sessionId: this.sessionId });
+      subscriber.detached();
+    }
+    this.subscribers.clear();
+    this.refs.clear();
+  }
+}
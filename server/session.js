@@ -62,6 +62,12 @@ export class Session {
     this.touch();
   }
 
+  // Handle key chord from client
+  handleKey(chord) {
+    this.pty.sendKey(chord);
+    this.touch();
+  }
+
   // Handle resize from client
   handleResize(cols, rows) {
     this.pty.resize(cols, rows);
@@ -0,0 +1,34 @@
+// JWT decoding and signature checks (jwt.js), and the Access header check built on them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { decodeJwt, verifyJwtSignature } from '../jwt.js';
+import { verifyAccessToken } from '../cloudflare-access.js';
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('tokens whose header or claims are not JSON objects are malformed', () => {
+  const objectSegment = segment({ alg: 'RS256', kid: 'k' });
+  for (const bad of [null, [], [1, 2], 'text', 42]) {
+    for (const token of [`${segment(bad)}.${objectSegment}.x`, `${objectSegment}.${segment(bad)}.x`]) {
+      assert.deepEqual(decodeJwt(token), { error: 'malformed token' }, token);
+      assert.deepEqual(verifyJwtSignature(token, null), { error: 'malformed token' }, token);
+    }
+  }
+});
+
+test('a null header in the Access assertion is rejected, not thrown', () => {
+  assert.equal(verifyAccessToken('bnVsbA.e30.x'), null);
+  assert.equal(verifyAccessToken('W10.W10.x'), null);
+});
+
+test('a correctly signed token verifies, a tampered one does not', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const body = `${segment({ alg: 'RS256', kid: 'k' })}.${segment({ sub: 'someone' })}`;
+  const signature = crypto.sign('sha256', Buffer.from(body), privateKey).toString('base64url');
+
+  assert.deepEqual(verifyJwtSignature(`${body}.${signature}`, publicKey), { claims: { sub: 'someone' } });
+  const tampered = `${body.slice(0, -2)}x${body.slice(-1)}.${signature}`;
+  assert.ok(verifyJwtSignature(tampered, publicKey).error);
+});
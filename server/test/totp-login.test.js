@@ -0,0 +1,95 @@
+// Signing in to an account with two-factor sign-in: password, then authenticator code, then
+// a session cookie that opens the app - against a real relay process on a spare port
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, relative, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import https from 'https';
+import { hashPassword } from '../accounts.js';
+import { generateSecret, totpCode } from '../totp.js';
+
+const serverDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const port = 40000 + Math.floor(Math.random() * 10000);
+const secret = generateSecret();
+let dir = null;
+let relay = null;
+
+function request(method, path, { body, cookie } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (cookie) headers.Cookie = cookie;
+    const req = https.request({ host: '127.0.0.1', port, method, path, headers, rejectUnauthorized: false }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+// name=value of a cookie the response sets
+function setCookie(res, name) {
+  const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith(`${name}=`));
+  return cookie ? cookie.split(';')[0] : null;
+}
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'relay-totp-'));
+  execFileSync('openssl', ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1', '-subj', '/CN=localhost',
+    '-keyout', join(dir, 'key.pem'), '-out', join(dir, 'cert.pem')], { stdio: 'ignore' });
+  writeFileSync(join(dir, 'accounts.json'), JSON.stringify({
+    users: { alice: { role: 'operator', password: hashPassword('alice-password'), totp: { secret, lastStep: null, recovery: [] } } }
+  }));
+
+  relay = spawn(process.execPath, ['index.js'], {
+    cwd: serverDir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      HOME: dir,
+      RELAY_HOST: '127.0.0.1',
+      RELAY_PORT: String(port),
+      RELAY_AUTH_TOKEN: 'test-token',
+      ACCOUNTS_FILE: join(dir, 'accounts.json'),
+      AUTH_SESSIONS_FILE: join(dir, 'auth-sessions.json'),
+      SSL_KEY: relative(serverDir, join(dir, 'key.pem')),
+      SSL_CERT: relative(serverDir, join(dir, 'cert.pem'))
+    }
+  });
+  await new Promise((resolve, reject) => {
+    relay.stdout.on('data', chunk => { if (chunk.toString().includes('Link Server')) resolve(); });
+    relay.on('exit', code => reject(new Error(`Relay exited (${code})`)));
+  });
+});
+
+after(() => {
+  relay?.kill();
+  if (dir) rmSync(dir, { recursive: true, force: true });
+});
+
+test('password, then authenticator code, then a working session cookie', async () => {
+  const login = await request('POST', '/auth/login', { body: { username: 'alice', password: 'alice-password' } });
+  assert.equal(login.status, 200);
+  assert.equal(JSON.parse(login.text).totpRequired, true);
+  assert.equal(setCookie(login, 'relay_session'), null, 'no session before the code');
+  const pending = setCookie(login, 'relay_totp');
+  assert.ok(pending);
+
+  const wrong = await request('POST', '/auth/totp', { body: { code: '000000' === totpCode(secret) ? '111111' : '000000' }, cookie: pending });
+  assert.equal(wrong.status, 401);
+
+  const right = await request('POST', '/auth/totp', { body: { code: totpCode(secret) }, cookie: pending });
+  assert.equal(right.status, 200, right.text);
+  assert.deepEqual(JSON.parse(right.text), { user: 'alice', role: 'operator' });
+  const session = setCookie(right, 'relay_session');
+  assert.ok(session);
+
+  assert.equal((await request('GET', '/', { cookie: session })).status, 200);
+  assert.equal((await request('GET', '/')).status, 302);
+});
@@ -0,0 +1,114 @@
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps) - the codes
+// authenticator apps show - plus the recovery codes handed out alongside them.
+//
+// Secrets are base32 (RFC 4648, unpadded) as authenticator apps expect. Verifying returns
+// the matching time step so callers can refuse a code that was already used.
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+
+// Recovery codes: 10 characters in two groups, no look-alike characters
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const RECOVERY_COUNT = 10;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${ch}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// HOTP (RFC 4226) value for one counter
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+export function timeStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+// Code for a secret at a time (defaults to now)
+export function totpCode(secret, timeMs = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(timeMs));
+}
+
+// Time step the code matches, allowing `window` steps of clock drift either way, else null
+export function verifyTotp(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+  const digits = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!/^\d{6}$/.test(digits)) return null;
+  const key = base32Decode(secret);
+  const current = timeStep(timeMs);
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(digits))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// otpauth:// link for authenticator apps (shown as a QR code)
+export function otpauthUrl(secret, { account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Fresh single-use recovery codes ('abcde-fghjk'); only their hashes are stored
+export function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_COUNT }, () => {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+      code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = typeof code === 'string' ? code.toLowerCase().replace(/[^0-9a-z]/g, '') : '';
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
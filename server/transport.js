@@ -0,0 +1,79 @@
+// Host transport - picks the local IPC endpoint a session listens on
+// Windows uses named pipes, everything else uses Unix domain sockets
+
+import net from 'net';
+import { mkdirSync, existsSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+export const TRANSPORT_PIPE = 'pipe';
+export const TRANSPORT_UNIX = 'unix';
+
+// Transport used by hosts started on this platform
+export const LOCAL_TRANSPORT = process.platform === 'win32' ? TRANSPORT_PIPE : TRANSPORT_UNIX;
+
+// Directory for Unix sockets (XDG runtime dir when available, kept short for the ~104 char path limit)
+const runtimeDir = process.env.CNM_RUNTIME_DIR
+  || (process.env.XDG_RUNTIME_DIR ? join(process.env.XDG_RUNTIME_DIR, 'claude-relay') : join(homedir(), '.claude-relay', 'run'));
+
+// Build the endpoint descriptor for a session
+export function createEndpoint(sessionId) {
+  if (LOCAL_TRANSPORT === TRANSPORT_PIPE) {
+    return { transport: TRANSPORT_PIPE, path: `\\\\.\\pipe\\claude-relay-${sessionId}` };
+  }
+  return { transport: TRANSPORT_UNIX, path: join(runtimeDir, `claude-relay-${sessionId}.sock`) };
+}
+
+// Prepare an endpoint for listening (create runtime dir, remove stale socket file)
+export function prepareEndpoint(endpoint) {
+  if (endpoint.transport !== TRANSPORT_UNIX) return;
+
+  mkdirSync(runtimeDir, { recursive: true, mode: 0o700 });
+  if (existsSync(endpoint.path)) {
+    // A previous host for this session crashed without cleaning up
+    unlinkSync(endpoint.path);
+  }
+}
+
+// Remove the socket file after the server closes
+export function cleanupEndpoint(endpoint) {
+  if (endpoint.transport !== TRANSPORT_UNIX) return;
+
+  try {
+    if (existsSync(endpoint.path)) {
+      unlinkSync(endpoint.path);
+    }
+  } catch {}
+}
+
+// Read the endpoint advertised by a registry entry
+// Older entries only have `pipe`, which is always a Windows named pipe
+export function endpointFromRegistry(data) {
+  if (data.endpoint) {
+    return { transport: data.transport || TRANSPORT_UNIX, path: data.endpoint };
+  }
+  if (data.pipe) {
+    return { transport: TRANSPORT_PIPE, path: data.pipe };
+  }
+  return null;
+}
+
+// Registry fields describing an endpoint (`pipe` kept for older relays)
+export function endpointRegistryFields(endpoint) {
+  return {
+    transport: endpoint.transport,
+    endpoint: endpoint.path,
+    pipe: endpoint.path
+  };
+}
+
+// Connect to a session endpoint, failing early if this platform can't reach it
+export function connectEndpoint(endpoint) {
+  if (!endpoint) {
+    throw new Error('Session has no endpoint');
+  }
+  if (endpoint.transport !== LOCAL_TRANSPORT) {
+    throw new Error(`Cannot connect to ${endpoint.transport} endpoint from ${process.platform}`);
+  }
+  return net.connect(endpoint.path);
+}
@@ -11,7 +11,7 @@ echo  Claude Code Relay Server
 echo ===============================================
 echo.
 echo Starting server on port 3001...
-echo Access from iPhone: https://YOUR_IP:3001/?token=YOUR_TOKEN
+echo Access from iPhone: https://YOUR_IP:3001/ (sign in with your token)
 echo (Token is configured in server\.env)
 echo.
 echo Press Ctrl+C to stop
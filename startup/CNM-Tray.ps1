@@ -204,6 +204,14 @@ function Start-TrayApp {
     })
     $contextMenu.Items.Add($browserItem) | Out-Null
 
+    # Pair a phone: prints a one-time code and QR code in a console window
+    $pairItem = New-Object System.Windows.Forms.ToolStripMenuItem
+    $pairItem.Text = "Pair a Device..."
+    $pairItem.Add_Click({
+        Start-Process cmd.exe -ArgumentList "/k", "node pair-device.js" -WorkingDirectory (Join-Path $script:serverDir "server")
+    })
+    $contextMenu.Items.Add($pairItem) | Out-Null
+
     # Open log file
     $logItem = New-Object System.Windows.Forms.ToolStripMenuItem
     $logItem.Text = "View Log"